@@ -1,6 +1,16 @@
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { readFileSync } from "node:fs";
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from "node:fs/promises";
+import { BlockList, isIP } from "node:net";
+import { freemem, totalmem } from "node:os";
+import path from "node:path";
 import express from "express";
+import { marked } from "marked";
+import nodemailer from "nodemailer";
 import { chromium } from "playwright";
 import pino from "pino";
+import sanitizeHtml from "sanitize-html";
 import { z } from "zod";
 
 // ==================== CONFIGURATION FOR RENDER ====================
@@ -19,7 +29,15 @@ const logger = pino({
 });
 
 const app = express();
-app.use(express.json({ limit: "1mb" }));
+
+// /send-email e /send-bulk usam limite próprio (anexos em base64); demais rotas mantêm 1mb
+const ROTAS_LIMITE_PROPRIO = ['/send-email', '/send-bulk', '/reply', '/forward'];
+const jsonPadrao = express.json({ limit: "1mb" });
+// Roteamento do Express ignora maiúsculas e a barra final; a comparação aqui precisa fazer o mesmo
+app.use((req, res, next) => {
+    const rota = req.path.toLowerCase().replace(/\/+$/, '');
+    return ROTAS_LIMITE_PROPRIO.includes(rota) ? next() : jsonPadrao(req, res, next);
+});
 
 const CONFIG = {
     outlookUrl: "https://outlook.office365.com/",
@@ -29,6 +47,107 @@ const CONFIG = {
     maxRetries: 3,
     retryDelay: 5000,
 
+    // Fila de jobs assíncronos (in-process)
+    jobConcurrency: parseInt(process.env.JOB_CONCURRENCY || '1', 10),
+    jobTtlMs: parseInt(process.env.JOB_TTL_MS || '3600000', 10), // 1h após finalizar
+
+    // Controle de admissão: envios simultâneos, fila de espera e teto de memória do contêiner
+    // (sem MEMORY_LIMIT_MB, 85% do limite do cgroup ou da memória do host)
+    maxConcurrentSends: parseInt(process.env.MAX_CONCURRENT_SENDS || '2', 10),
+    maxQueuedSends: parseInt(process.env.MAX_QUEUED_SENDS || '20', 10),
+    memoryLimitMb: process.env.MEMORY_LIMIT_MB ? parseInt(process.env.MEMORY_LIMIT_MB, 10) : null,
+    admissionRetryAfterSec: parseInt(process.env.ADMISSION_RETRY_AFTER_SEC || '30', 10),
+
+    // Transportes de envio em ordem de fallback (browser, smtp, graph)
+    transports: (process.env.TRANSPORTS || 'browser').split(',').map(nome => nome.trim()).filter(Boolean),
+    smtpHost: process.env.SMTP_HOST || 'smtp.office365.com',
+    smtpPort: parseInt(process.env.SMTP_PORT || '587', 10),
+    smtpRequireTls: process.env.SMTP_REQUIRE_TLS !== 'false', // STARTTLS obrigatório
+    smtpTimeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS || '30000', 10),
+    graphBaseUrl: process.env.GRAPH_BASE_URL || 'https://graph.microsoft.com/v1.0',
+    graphAuthorityUrl: process.env.GRAPH_AUTHORITY_URL || 'https://login.microsoftonline.com',
+    graphTenantId: process.env.GRAPH_TENANT_ID,
+    graphClientId: process.env.GRAPH_CLIENT_ID,
+    graphClientSecret: process.env.GRAPH_CLIENT_SECRET,
+    graphTimeoutMs: parseInt(process.env.GRAPH_TIMEOUT_MS || '30000', 10),
+
+    // Envios agendados (payload cifrado com a chave do cofre)
+    scheduleFile: process.env.SCHEDULE_FILE || path.join(process.cwd(), 'data', 'schedule.json'),
+    scheduleTickMs: parseInt(process.env.SCHEDULE_TICK_MS || '5000', 10),
+    scheduleCatchUpMs: parseInt(process.env.SCHEDULE_CATCH_UP_MS || '86400000', 10), // atrasados até 24h ainda são enviados
+    scheduleMaxAheadMs: parseInt(process.env.SCHEDULE_MAX_AHEAD_MS || '7776000000', 10), // 90 dias
+    scheduleRetentionMs: parseInt(process.env.SCHEDULE_RETENTION_MS || '604800000', 10), // 7 dias após finalizar
+
+    // Leitura da caixa de correio (GET /messages)
+    messagesDefaultLimit: parseInt(process.env.MESSAGES_DEFAULT_LIMIT || '25', 10),
+    messagesMaxLimit: parseInt(process.env.MESSAGES_MAX_LIMIT || '100', 10),
+
+    // Templates de mensagem versionados
+    templatesFile: process.env.TEMPLATES_FILE || path.join(process.cwd(), 'data', 'templates.json'),
+
+    // Envio em massa (mail-merge)
+    bulkMaxRows: parseInt(process.env.BULK_MAX_ROWS || '500', 10),
+    bulkThrottleMs: parseInt(process.env.BULK_THROTTLE_MS || '3000', 10),
+
+    // Sessões persistentes por conta
+    maxSessions: parseInt(process.env.MAX_SESSIONS || '3', 10),
+    sessionIdleMs: parseInt(process.env.SESSION_IDLE_MS || '900000', 10), // 15min sem uso
+    sessionStateTtlMs: parseInt(process.env.SESSION_STATE_TTL_MS || '43200000', 10), // 12h de storage state salvo
+
+    // Cofre de contas (credenciais cifradas com AES-256-GCM)
+    accountsFile: process.env.ACCOUNTS_FILE || path.join(process.cwd(), 'data', 'accounts.json'),
+    accountsKey: process.env.ACCOUNTS_ENCRYPTION_KEY,
+
+    // Autenticação por API key (JSON em API_KEYS ou arquivo em API_KEYS_FILE)
+    apiKeys: process.env.API_KEYS,
+    apiKeysFile: process.env.API_KEYS_FILE,
+    rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX || '60', 10),
+    rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
+
+    // Idempotency-Key: janela de validade e espera máxima por requisição concorrente
+    idempotencyTtlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS || '86400000', 10), // 24h
+    idempotencyWaitMs: parseInt(process.env.IDEMPOTENCY_WAIT_MS || '300000', 10),
+
+    // Webhooks de conclusão (URL global opcional; callbackUrl por requisição tem prioridade)
+    webhookUrl: process.env.WEBHOOK_URL,
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    webhookMaxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES || '5', 10),
+    webhookRetryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS || '2000', 10),
+
+    // Artefatos de falha (screenshot, HTML e trace) gravados em disco
+    artifactsDir: process.env.ARTIFACTS_DIR || path.join(process.cwd(), 'data', 'artifacts'),
+    artifactsTtlMs: parseInt(process.env.ARTIFACTS_TTL_MS || '86400000', 10),
+    artifactsMax: parseInt(process.env.ARTIFACTS_MAX || '50', 10),
+    artifactsTrace: process.env.ARTIFACTS_TRACE === 'true',
+
+    // Timeout padrão das operações do Playwright em cada etapa do envio
+    stepTimeoutsMs: {
+        login: 90000,
+        compose: 45000,
+        fill: 20000,
+        attach: 120000,
+        send: 30000,
+        confirm: 45000,
+        verify: 60000
+    },
+    // Sessão usada há menos tempo que isso não recarrega o Outlook antes do envio
+    sessionRecheckMs: parseInt(process.env.SESSION_RECHECK_MS || '300000', 10),
+    slowMoMs: parseInt(process.env.SLOW_MO_MS || '0', 10),
+
+    // Idioma assumido quando não é possível detectar o da interface do Outlook
+    defaultLocale: process.env.DEFAULT_LOCALE || 'pt-BR',
+
+    // Verificação em Itens Enviados após o envio
+    sentVerifyTimeoutMs: parseInt(process.env.SENT_VERIFY_TIMEOUT_MS || '60000', 10),
+    composeCloseTimeoutMs: parseInt(process.env.COMPOSE_CLOSE_TIMEOUT_MS || '30000', 10),
+
+    // Anexos (conteúdo em base64 aumenta ~33% o tamanho do body)
+    maxAttachments: parseInt(process.env.MAX_ATTACHMENTS || '10', 10),
+    maxAttachmentBytes: parseInt(process.env.MAX_ATTACHMENT_BYTES || String(10 * 1024 * 1024), 10),
+    maxAttachmentsTotalBytes: parseInt(process.env.MAX_ATTACHMENTS_TOTAL_BYTES || String(20 * 1024 * 1024), 10),
+    sendEmailBodyLimit: process.env.SEND_EMAIL_BODY_LIMIT || "30mb",
+
     // Argumentos otimizados para Chromium no Render
     browserArgs: [
         '--no-sandbox',
@@ -57,11 +176,36 @@ const CONFIG = {
 
 // ==================== UTILITIES ====================
 
+// Id de requisição: prefixo de tempo (ordenável nos logs) + sufixo aleatório, pois
+// também é chave de artefatos, entregas de webhook e fila de admissão
+function gerarRequestId() {
+    return `${Date.now().toString(36)}-${randomBytes(4).toString('hex')}`;
+}
+
+// Escrita atômica (arquivo temporário + rename), em fila por arquivo: gravações
+// simultâneas disputariam o mesmo .tmp. O conteúdo é lido na hora de gravar e
+// o erro volta para quem pediu a gravação
+const filasGravacao = new Map();
+
+function gravarJsonAtomico(arquivo, obterDados, { mode } = {}) {
+    const anterior = filasGravacao.get(arquivo) || Promise.resolve();
+    const gravacao = anterior.then(async () => {
+        await mkdir(path.dirname(arquivo), { recursive: true });
+        const temporario = `${arquivo}.tmp`;
+        await writeFile(temporario, JSON.stringify(obterDados(), null, 2), { mode });
+        await rename(temporario, arquivo);
+    });
+    filasGravacao.set(arquivo, gravacao.catch(() => {}));
+    return gravacao;
+}
+
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function retryOperation(operation, maxRetries = CONFIG.maxRetries, delayMs = CONFIG.retryDelay) {
+// contadores: métricas de novas tentativas/falhas (webhooks usam as próprias, fora das do envio)
+async function retryOperation(operation, maxRetries = CONFIG.maxRetries, delayMs = CONFIG.retryDelay,
+    contadores = { retries: metricas.retries, exhausted: metricas.retriesExhausted }) {
     let lastError;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -70,8 +214,12 @@ async function retryOperation(operation, maxRetries = CONFIG.maxRetries, delayMs
         } catch (error) {
             lastError = error;
             logger.warn(`Tentativa ${attempt}/${maxRetries} falhou: ${error.message}`);
+
+            // Erros definitivos (ex.: senha inválida) não devem ser repetidos
+            if (error.retryable === false) break;
             
             if (attempt < maxRetries) {
+                contadores.retries.inc();
                 logger.info(`Aguardando ${delayMs}ms antes da próxima tentativa...`);
                 await delay(delayMs);
                 delayMs *= 1.5; // Backoff exponencial
@@ -79,9 +227,46 @@ async function retryOperation(operation, maxRetries = CONFIG.maxRetries, delayMs
         }
     }
     
+    contadores.exhausted.inc();
     throw lastError;
 }
 
+// Decodifica segredo base32 (RFC 4648), formato usado por apps autenticadores
+function base32Decode(segredo) {
+    const alfabeto = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const limpo = segredo.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+
+    for (const char of limpo) {
+        const valor = alfabeto.indexOf(char);
+        if (valor === -1) throw new Error("Segredo TOTP não está em base32");
+        bits += valor.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+// Gera código TOTP (RFC 6238: HMAC-SHA1, passo de 30s, 6 dígitos)
+function gerarTotp(segredo, timestamp = Date.now(), passo = 30, digitos = 6) {
+    const contador = Buffer.alloc(8);
+    contador.writeBigUInt64BE(BigInt(Math.floor(timestamp / 1000 / passo)));
+
+    const hmac = createHmac('sha1', base32Decode(segredo)).update(contador).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const codigo = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** digitos);
+
+    return codigo.toString().padStart(digitos, '0');
+}
+
+// Encaminha rejeições de handlers async para o error handler global
+function asyncHandler(handler) {
+    return (req, res, next) => handler(req, res, next).catch(next);
+}
+
 function logMemoryUsage(context = "") {
     const usage = process.memoryUsage();
     logger.info({
@@ -93,490 +278,4345 @@ function logMemoryUsage(context = "") {
     }, "Uso de memória");
 }
 
+// ==================== METRICS ====================
+
+// Registro mínimo no formato de exposição de texto do Prometheus
+function escaparRotulo(valor) {
+    return String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatarRotulos(rotulos) {
+    const pares = Object.entries(rotulos).map(([nome, valor]) => `${nome}="${escaparRotulo(valor)}"`);
+    return pares.length > 0 ? `{${pares.join(',')}}` : '';
+}
+
+function criarContador(nome, ajuda) {
+    const valores = new Map();
+    return {
+        inc(rotulos = {}, valor = 1) {
+            const chave = formatarRotulos(rotulos);
+            valores.set(chave, (valores.get(chave) || 0) + valor);
+        },
+        render() {
+            const linhas = [`# HELP ${nome} ${ajuda}`, `# TYPE ${nome} counter`];
+            if (valores.size === 0) linhas.push(`${nome} 0`);
+            for (const [chave, valor] of valores) linhas.push(`${nome}${chave} ${valor}`);
+            return linhas.join('\n');
+        }
+    };
+}
+
+function criarHistograma(nome, ajuda, buckets) {
+    const series = new Map();
+    return {
+        observe(rotulos, valor) {
+            const chave = formatarRotulos(rotulos);
+            let serie = series.get(chave);
+            if (!serie) {
+                serie = { rotulos, contagens: buckets.map(() => 0), soma: 0, total: 0 };
+                series.set(chave, serie);
+            }
+            buckets.forEach((limite, i) => { if (valor <= limite) serie.contagens[i]++; });
+            serie.soma += valor;
+            serie.total++;
+        },
+        render() {
+            const linhas = [`# HELP ${nome} ${ajuda}`, `# TYPE ${nome} histogram`];
+            for (const { rotulos, contagens, soma, total } of series.values()) {
+                buckets.forEach((limite, i) => {
+                    linhas.push(`${nome}_bucket${formatarRotulos({ ...rotulos, le: limite })} ${contagens[i]}`);
+                });
+                linhas.push(`${nome}_bucket${formatarRotulos({ ...rotulos, le: '+Inf' })} ${total}`);
+                linhas.push(`${nome}_sum${formatarRotulos(rotulos)} ${soma}`);
+                linhas.push(`${nome}_count${formatarRotulos(rotulos)} ${total}`);
+            }
+            return linhas.join('\n');
+        }
+    };
+}
+
+// Gauges são lidos no momento da coleta
+function criarGauge(nome, ajuda, coletar) {
+    return {
+        render() {
+            return [`# HELP ${nome} ${ajuda}`, `# TYPE ${nome} gauge`, `${nome} ${coletar()}`].join('\n');
+        }
+    };
+}
+
+// Contador monotônico mantido fora da aplicação (ex.: CPU do processo), lido na coleta
+function criarContadorColetado(nome, ajuda, coletar) {
+    return {
+        render() {
+            return [`# HELP ${nome} ${ajuda}`, `# TYPE ${nome} counter`, `${nome} ${coletar()}`].join('\n');
+        }
+    };
+}
+
+let enviosEmAndamento = 0;
+
+const metricas = {
+    sends: criarContador('email_sends_total', 'Envios de email por resultado e código de erro'),
+    sendDuration: criarHistograma('email_send_duration_seconds', 'Tempo total de envio em segundos',
+        [1, 2, 5, 10, 20, 30, 60, 120, 300]),
+    stepDuration: criarHistograma('email_step_duration_seconds', 'Duração de cada etapa do envio em segundos',
+        [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60]),
+    retries: criarContador('retry_operation_retries_total', 'Novas tentativas feitas por retryOperation'),
+    retriesExhausted: criarContador('retry_operation_failures_total', 'Operações que falharam após todas as tentativas'),
+    webhookRetries: criarContador('webhook_delivery_retries_total', 'Novas tentativas de entrega de webhook'),
+    webhookFailures: criarContador('webhook_delivery_failures_total', 'Webhooks não entregues após todas as tentativas'),
+    inFlight: criarGauge('email_sends_in_flight', 'Envios em andamento', () => enviosEmAndamento),
+    browsers: criarGauge('browser_open', 'Navegadores Chromium abertos',
+        () => (navegadorCompartilhado && navegadorCompartilhado.isConnected() ? 1 : 0)),
+    sessions: criarGauge('browser_sessions_open', 'Sessões (contextos) de navegador abertas', () => sessions.size),
+    jobsQueued: criarGauge('email_jobs_queued', 'Jobs aguardando na fila', () => jobQueue.length),
+    sendsWaiting: criarGauge('email_sends_waiting', 'Envios aguardando vaga no limite de concorrência', () => filaEnvios.length),
+    admissionRejections: criarContador('email_admission_rejections_total', 'Requisições rejeitadas pelo controle de admissão'),
+    rss: criarGauge('process_resident_memory_bytes', 'Memória residente do processo em bytes',
+        () => process.memoryUsage().rss),
+    heap: criarGauge('nodejs_heap_used_bytes', 'Heap usado pelo Node.js em bytes', () => process.memoryUsage().heapUsed),
+    cpu: criarContadorColetado('process_cpu_seconds_total', 'Tempo de CPU (usuário + sistema) em segundos', () => {
+        const { user, system } = process.cpuUsage();
+        return (user + system) / 1e6;
+    }),
+    uptime: criarGauge('process_uptime_seconds', 'Tempo de execução do processo em segundos', () => process.uptime())
+};
+
+function registrarEnvioMetricas({ transport = 'browser', outcome, code, processingTime, timings }) {
+    metricas.sends.inc(code ? { transport, outcome, code } : { transport, outcome });
+    metricas.sendDuration.observe({ transport, outcome }, processingTime / 1000);
+    for (const [etapa, ms] of Object.entries(timings)) {
+        metricas.stepDuration.observe({ transport, step: etapa }, ms / 1000);
+    }
+}
+
+function renderizarMetricas() {
+    return Object.values(metricas).map(metrica => metrica.render()).join('\n') + '\n';
+}
+
+// ==================== ERRORS ====================
+
+// Erro com código estável para clientes da API (sem depender do texto da mensagem)
+class EmailApiError extends Error {
+    constructor(code, message, { status = 500, retryable = false } = {}) {
+        super(message);
+        this.name = 'EmailApiError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+const LOGIN_ERRORS = {
+    invalid_credentials: { status: 401, retryable: false, message: "Email ou senha inválidos" },
+    mfa_required: { status: 403, retryable: false, message: "A conta exige autenticação multifator" },
+    account_locked: { status: 423, retryable: false, message: "Conta bloqueada pela Microsoft" },
+    invalid_mfa_code: { status: 401, retryable: false, message: "Código de autenticação multifator rejeitado" },
+    password_expired: { status: 403, retryable: false, message: "Senha expirada, é necessário alterá-la" },
+    captcha: { status: 429, retryable: true, message: "Microsoft solicitou captcha, tente novamente mais tarde" },
+    unknown_interstitial: { status: 502, retryable: true, message: "Tela inesperada durante o login" }
+};
+
+const SEND_ERRORS = {
+    send_rejected: { status: 502, retryable: false, message: "Outlook recusou o envio" },
+    send_not_completed: { status: 502, retryable: false, message: "Composição continua aberta após clicar em Enviar (mensagem possivelmente em Rascunhos)" },
+    importance_not_applied: { status: 422, retryable: false, message: "Não foi possível aplicar a importância solicitada" }
+};
+
+function sendError(code, detalhe) {
+    const { status, retryable, message } = SEND_ERRORS[code];
+    return new EmailApiError(code, detalhe ? `${message}: ${detalhe}` : message, { status, retryable });
+}
+
+const TRANSPORT_ERRORS = {
+    transport_unavailable: { status: 400, retryable: false, message: "Nenhum transporte disponível para esta requisição" },
+    smtp_auth_failed: { status: 401, retryable: false, message: "Servidor SMTP recusou a autenticação" },
+    smtp_rejected: { status: 502, retryable: false, message: "Servidor SMTP recusou a mensagem" },
+    smtp_unavailable: { status: 503, retryable: true, message: "Servidor SMTP indisponível" },
+    graph_auth_failed: { status: 401, retryable: false, message: "Microsoft Graph recusou o token de acesso" },
+    graph_rejected: { status: 502, retryable: false, message: "Microsoft Graph recusou a mensagem" },
+    graph_unavailable: { status: 503, retryable: true, message: "Microsoft Graph indisponível" }
+};
+
+function transportError(code, detalhe) {
+    const { status, retryable, message } = TRANSPORT_ERRORS[code];
+    return new EmailApiError(code, detalhe ? `${message}: ${detalhe}` : message, { status, retryable });
+}
+
+function loginError(code, detalhe) {
+    const { status, retryable, message } = LOGIN_ERRORS[code];
+    return new EmailApiError(code, detalhe ? `${message}: ${detalhe}` : message, { status, retryable });
+}
+
 // ==================== SCHEMA ====================
 
-const EmailSchema = z.object({
+const BASE64_REGEX = /^[A-Za-z0-9+/\r\n]*={0,2}$/;
+
+function base64Size(content) {
+    return Buffer.byteLength(content.replace(/[\r\n]/g, ''), 'base64');
+}
+
+const EmailListSchema = z.union([z.string().email(), z.array(z.string().email())])
+    .transform(val => Array.isArray(val) ? val : [val]);
+
+const AttachmentSchema = z.object({
+    filename: z.string().min(1).max(255).refine(name => !/[\\/]/.test(name), "Nome de arquivo não pode conter caminho"),
+    contentType: z.string().min(1).default('application/octet-stream'),
+    content: z.string().min(1).regex(BASE64_REGEX, "Conteúdo deve estar em base64"),
+    contentId: z.string().regex(/^[\w.@-]+$/, "contentId inválido").max(100).optional() // imagem inline (cid:)
+}).refine(att => base64Size(att.content) <= CONFIG.maxAttachmentBytes, {
+    message: `Anexo excede o limite de ${CONFIG.maxAttachmentBytes} bytes`,
+    path: ['content']
+});
+
+// Entregas são sempre assinadas; destino interno (loopback, rede privada, metadados) é recusado
+const CallbackUrlSchema = z.string().superRefine((url, ctx) => {
+    let destino;
+    try {
+        destino = new URL(url);
+    } catch {
+        ctx.addIssue({ code: z.ZodIssueCode.invalid_string, validation: 'url', message: "callbackUrl inválida" });
+        return;
+    }
+
+    if (!/^https?:$/.test(destino.protocol)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: "callbackUrl deve usar http ou https" });
+    } else if (hostInterno(destino.hostname)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: "callbackUrl não pode apontar para endereço interno" });
+    } else if (!CONFIG.webhookSecret) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: "callbackUrl requer WEBHOOK_SECRET configurado no servidor" });
+    }
+});
+
+const TotpSecretSchema = z.string().regex(/^[A-Za-z2-7\s=-]+$/, "Segredo TOTP deve estar em base32");
+const LocaleSchema = z.enum(['pt-BR', 'en-US', 'es-ES']);
+const TransportSchema = z.enum(['browser', 'smtp', 'graph']);
+
+const AccountSchema = z.object({
     email: z.string().email(),
     password: z.string().min(1),
-    to: z.union([z.string().email(), z.array(z.string().email())]).transform(val => Array.isArray(val) ? val : [val]),
-    cc: z.union([z.string().email(), z.array(z.string().email())]).transform(val => Array.isArray(val) ? val : [val]).optional(),
+    totpSecret: TotpSecretSchema.optional(),
+    locale: LocaleSchema.optional(),
+    signature: z.string().max(10000).optional(),
+    label: z.string().max(100).optional(),
+    transports: z.array(TransportSchema).min(1).optional()
+});
+
+const EmailSchema = z.object({
+    accountId: z.string().uuid().optional(),
+    email: z.string().email().optional(),
+    password: z.string().min(1).optional(),
+    accessToken: z.string().min(1).optional(), // token OAuth para o transporte Graph
+    totpSecret: TotpSecretSchema.optional(),
+    mfaCode: z.string().regex(/^\d{6,8}$/, "Código MFA deve ter de 6 a 8 dígitos").optional(),
+    to: EmailListSchema,
+    cc: EmailListSchema.optional(),
+    bcc: EmailListSchema.optional(),
+    replyTo: EmailListSchema.optional(),
+    from: z.string().email().optional(),
+    subject: z.string().min(1).optional(),
+    body: z.string().optional(),
+    templateId: z.string().uuid().optional(),
+    templateVersion: z.number().int().positive().optional(),
+    variables: z.record(z.unknown()).default({}),
+    bodyFormat: z.enum(['text', 'html', 'markdown']).optional(),
+    debug: z.boolean().default(false),
+    priority: z.enum(['low', 'normal', 'high']).default('normal'),
+    attachments: z.array(AttachmentSchema)
+        .max(CONFIG.maxAttachments, `Máximo de ${CONFIG.maxAttachments} anexos`)
+        .refine(atts => atts.reduce((total, att) => total + base64Size(att.content), 0) <= CONFIG.maxAttachmentsTotalBytes,
+            `Anexos excedem o limite total de ${CONFIG.maxAttachmentsTotalBytes} bytes`)
+        .default([]),
+    locale: LocaleSchema.optional(),
+    includeSignature: z.boolean().default(true),
+    transport: z.union([TransportSchema, z.array(TransportSchema).min(1)])
+        .transform(val => Array.isArray(val) ? val : [val])
+        .optional(),
+    callbackUrl: CallbackUrlSchema.optional(),
+    requestReadReceipt: z.boolean().default(false),
+    requestDeliveryReceipt: z.boolean().default(false),
+    mode: z.enum(['send', 'draft', 'preview']).default('send'),
+    sendAt: z.string().datetime({ offset: true }).optional(), // ISO 8601 com fuso (ex.: 2024-05-01T08:00:00-03:00)
+    sync: z.boolean().default(false)
+}).refine(d => d.accountId ? !d.email && !d.password : d.email && (d.password || d.accessToken), {
+    message: "Informe accountId ou email e password/accessToken (não ambos)",
+    path: ['accountId']
+}).refine(d => d.templateId ? d.subject === undefined && d.body === undefined : d.subject !== undefined, {
+    message: "Informe templateId ou subject/body (não ambos)",
+    path: ['templateId']
+}).transform(d => ({ ...d, body: d.body ?? "" }));
+
+// Célula de CSV com vários endereços usa ";" como separador
+const BulkAddressSchema = z.preprocess(
+    val => typeof val === 'string' && val.includes(';') ? val.split(';').map(end => end.trim()).filter(Boolean) : val,
+    EmailListSchema
+);
+const CelulaVaziaSchema = z.preprocess(val => val === '' || val === null ? undefined : val, BulkAddressSchema.optional());
+
+// Linha do mail-merge: destinatários + variáveis livres para os placeholders
+const BulkRowSchema = z.object({
+    to: BulkAddressSchema,
+    cc: CelulaVaziaSchema,
+    bcc: CelulaVaziaSchema
+}).catchall(z.union([z.string(), z.number(), z.boolean(), z.null()]));
+
+const BulkSchema = z.object({
+    accountId: z.string().uuid().optional(),
+    email: z.string().email().optional(),
+    password: z.string().min(1).optional(),
+    accessToken: z.string().min(1).optional(),
+    totpSecret: TotpSecretSchema.optional(),
+    mfaCode: z.string().regex(/^\d{6,8}$/, "Código MFA deve ter de 6 a 8 dígitos").optional(),
+    from: z.string().email().optional(),
+    replyTo: EmailListSchema.optional(),
+    subject: z.string().min(1),
+    body: z.string().default(""),
+    bodyFormat: z.enum(['text', 'html', 'markdown']).optional(),
+    priority: z.enum(['low', 'normal', 'high']).default('normal'),
+    attachments: z.array(AttachmentSchema)
+        .max(CONFIG.maxAttachments, `Máximo de ${CONFIG.maxAttachments} anexos`)
+        .default([]),
+    locale: LocaleSchema.optional(),
+    includeSignature: z.boolean().default(true),
+    transport: z.union([TransportSchema, z.array(TransportSchema).min(1)])
+        .transform(val => Array.isArray(val) ? val : [val])
+        .optional(),
+    rows: z.array(z.record(z.unknown())).min(1).optional(),
+    csv: z.string().min(1).optional(),
+    throttleMs: z.number().int().min(0).max(60000).optional()
+}).refine(d => d.accountId ? !d.email && !d.password : d.email && (d.password || d.accessToken), {
+    message: "Informe accountId ou email e password/accessToken (não ambos)",
+    path: ['accountId']
+}).refine(d => !!d.rows !== !!d.csv, {
+    message: "Informe rows (JSON) ou csv (não ambos)",
+    path: ['rows']
+});
+
+const TemplateVariableSchema = z.object({
+    type: z.enum(['string', 'number', 'boolean', 'email', 'date']).default('string'),
+    required: z.boolean().default(true),
+    default: z.union([z.string(), z.number(), z.boolean()]).optional(),
+    description: z.string().max(500).optional()
+});
+
+const TemplateSchema = z.object({
+    name: z.string().min(1).max(100),
+    description: z.string().max(1000).optional(),
     subject: z.string().min(1),
     body: z.string().default(""),
+    bodyFormat: z.enum(['text', 'html', 'markdown']).default('html'),
+    variables: z.record(z.string().regex(/^[\w.-]+$/, "Nome de variável inválido"), TemplateVariableSchema).default({})
+});
+
+// Resposta/encaminhamento: mensagem original por id (de GET /messages) ou por filtros
+const MessageMatchSchema = z.object({
+    folder: z.string().min(1).max(200).default('inbox'),
+    from: z.string().min(1).max(200).optional(),
+    subject: z.string().min(1).max(200).optional(),
+    since: z.string().datetime({ offset: true }).optional(),
+    until: z.string().datetime({ offset: true }).optional()
+}).refine(m => m.from || m.subject || m.since || m.until, "Informe ao menos um filtro (from, subject, since, until)");
+
+const ConversationSchema = z.object({
+    accountId: z.string().uuid().optional(),
+    email: z.string().email().optional(),
+    password: z.string().min(1).optional(),
+    totpSecret: TotpSecretSchema.optional(),
+    mfaCode: z.string().regex(/^\d{6,8}$/, "Código MFA deve ter de 6 a 8 dígitos").optional(),
+    messageId: z.string().min(1).max(500).optional(),
+    match: MessageMatchSchema.optional(),
+    replyAll: z.boolean().default(false),
+    to: EmailListSchema.optional(),
+    cc: EmailListSchema.optional(),
+    bcc: EmailListSchema.optional(),
+    subject: z.string().min(1).optional(),
+    body: z.string().default(""),
+    bodyFormat: z.enum(['text', 'html', 'markdown']).optional(),
     debug: z.boolean().default(false),
-    priority: z.enum(['low', 'normal', 'high']).default('normal')
+    priority: z.enum(['low', 'normal', 'high']).default('normal'),
+    attachments: z.array(AttachmentSchema)
+        .max(CONFIG.maxAttachments, `Máximo de ${CONFIG.maxAttachments} anexos`)
+        .refine(atts => atts.reduce((total, att) => total + base64Size(att.content), 0) <= CONFIG.maxAttachmentsTotalBytes,
+            `Anexos excedem o limite total de ${CONFIG.maxAttachmentsTotalBytes} bytes`)
+        .default([]),
+    locale: LocaleSchema.optional(),
+    includeSignature: z.boolean().default(true),
+    callbackUrl: CallbackUrlSchema.optional(),
+    mode: z.enum(['send', 'draft', 'preview']).default('send'),
+    sync: z.boolean().default(false)
+}).refine(d => d.accountId ? !d.email && !d.password : d.email && d.password, {
+    message: "Informe accountId ou email e password (não ambos)",
+    path: ['accountId']
+}).refine(d => !!d.messageId !== !!d.match, {
+    message: "Informe messageId ou match (não ambos)",
+    path: ['messageId']
 });
 
-// ==================== MAIN FUNCTION (CHROMIUM OPTIMIZED) ====================
+// Query de GET /messages (credenciais só via accountId, nunca na URL)
+const MessagesQuerySchema = z.object({
+    accountId: z.string().uuid(),
+    folder: z.string().min(1).max(200).default('inbox'),
+    from: z.string().min(1).max(200).optional(),
+    subject: z.string().min(1).max(200).optional(),
+    unread: z.enum(['true', 'false']).transform(val => val === 'true').default('false'),
+    since: z.string().datetime({ offset: true }).optional(),
+    until: z.string().datetime({ offset: true }).optional(),
+    limit: z.coerce.number().int().min(1).max(CONFIG.messagesMaxLimit).default(CONFIG.messagesDefaultLimit),
+    offset: z.coerce.number().int().min(0).default(0)
+});
 
-async function enviarEmail({ email, password, to, cc, subject, body, debug = false, priority = 'normal' }) {
-    const logs = [];
-    const startTime = Date.now();
+// ==================== ACCOUNT VAULT ====================
 
-    function log(message, level = 'info') {
-        const timestamp = new Date().toISOString();
-        const logMessage = `[${timestamp}] ${message}`;
-        console.log(logMessage);
-        if (debug) logs.push(logMessage);
-        logger[level](message);
+let contasCache = null;
+
+function chaveCofre() {
+    if (!CONFIG.accountsKey) {
+        throw new EmailApiError('cofre_indisponivel', "ACCOUNTS_ENCRYPTION_KEY não configurada", { status: 503 });
     }
+    return createHash('sha256').update(CONFIG.accountsKey).digest();
+}
 
-    let navegador = null;
-    let contexto = null;
-    let pagina = null;
+function cifrar(dados) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', chaveCofre(), iv);
+    const conteudo = Buffer.concat([cipher.update(JSON.stringify(dados), 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: conteudo.toString('base64')
+    };
+}
+
+function decifrar({ iv, tag, data }) {
+    const decipher = createDecipheriv('aes-256-gcm', chaveCofre(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const conteudo = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+    return JSON.parse(conteudo.toString('utf8'));
+}
 
+async function carregarContas() {
+    if (contasCache) return contasCache;
+
+    // Outra requisição pode ter carregado enquanto esta lia o arquivo
     try {
-        log("🚀 Iniciando navegador Chromium no Render...", 'info');
-        log(`Platform: ${process.platform}, Node: ${process.version}`, 'info');
-        logMemoryUsage("Início");
+        const lista = JSON.parse(await readFile(CONFIG.accountsFile, 'utf8'));
+        contasCache = contasCache || new Map(lista.map(conta => [conta.id, conta]));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        contasCache = contasCache || new Map();
+    }
+    return contasCache;
+}
 
-        // Configuração otimizada para Chromium no Render
-        navegador = await retryOperation(async () => {
-            return await chromium.launch({
-                headless: process.env.HEADLESS !== 'false',
-                args: CONFIG.browserArgs,
-                timeout: CONFIG.timeoutMs,
-                slowMo: process.env.NODE_ENV === 'production' ? 100 : 0 // Slow motion em produção
-            });
-        });
+function salvarContas() {
+    return gravarJsonAtomico(CONFIG.accountsFile, () => [...contasCache.values()], { mode: 0o600 });
+}
 
-        contexto = await navegador.newContext({
-            userAgent: "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-            viewport: { width: 1366, height: 768 },
-            ignoreHTTPSErrors: true,
-            permissions: [],
-            // Configurações para economizar recursos
-            reducedMotion: 'reduce',
-            forcedColors: 'none',
-            colorScheme: 'light'
-        });
+function serializeAccount(conta) {
+    return {
+        id: conta.id,
+        email: conta.email,
+        label: conta.label,
+        locale: conta.locale,
+        signature: conta.signature,
+        transports: conta.transports,
+        hasTotp: conta.hasTotp,
+        createdAt: conta.createdAt,
+        updatedAt: conta.updatedAt
+    };
+}
 
-        pagina = await contexto.newPage();
+// Cria ou atualiza (mesmo email) uma conta; credenciais ficam apenas cifradas
+async function salvarConta({ email, password, totpSecret, locale, signature, label, transports }) {
+    const contas = await carregarContas();
+    const existente = [...contas.values()].find(conta => conta.email === email);
+    const agora = new Date().toISOString();
 
-        // Timeouts específicos para Render
-        pagina.setDefaultTimeout(CONFIG.timeoutMs);
-        pagina.setDefaultNavigationTimeout(CONFIG.navigationTimeout);
+    // Atualização preserva configurações não informadas (inclusive o segredo TOTP já cifrado)
+    const segredoTotp = totpSecret ?? (existente ? decifrar(existente.credentials).totpSecret : undefined);
+    const conta = {
+        id: existente ? existente.id : randomUUID(),
+        email,
+        label: label ?? existente?.label,
+        locale: locale ?? existente?.locale,
+        signature: signature ?? existente?.signature,
+        transports: transports ?? existente?.transports,
+        hasTotp: !!segredoTotp,
+        credentials: cifrar({ password, totpSecret: segredoTotp }),
+        createdAt: existente ? existente.createdAt : agora,
+        updatedAt: agora
+    };
 
-        // Bloquear recursos desnecessários mais agressivamente
-        await pagina.route('**/*.{png,jpg,jpeg,gif,svg,ico,woff,woff2,mp4,mp3,pdf}', route => route.abort());
-        await pagina.route('**/analytics/**', route => route.abort());
-        await pagina.route('**/tracking/**', route => route.abort());
-        await pagina.route('**/ads/**', route => route.abort());
+    contas.set(conta.id, conta);
+    try {
+        await salvarContas();
+    } catch (error) {
+        // Memória não pode divergir do arquivo
+        if (existente) contas.set(existente.id, existente);
+        else contas.delete(conta.id);
+        throw error;
+    }
+    return { conta, criada: !existente };
+}
 
-        // Interceptar erros de console
-        pagina.on('console', msg => {
-            if (msg.type() === 'error') {
-                log(`Console Error: ${msg.text()}`, 'warn');
-            }
-        });
+async function removerConta(id) {
+    const contas = await carregarContas();
+    const conta = contas.get(id);
+    if (!conta) return false;
 
-        log("🔐 Fazendo login no Outlook...", 'info');
-        logMemoryUsage("Antes do login");
+    contas.delete(id);
+    try {
+        await salvarContas();
+    } catch (error) {
+        contas.set(id, conta);
+        throw error;
+    }
+    return true;
+}
 
-        // LOGIN com retry automático
-        await retryOperation(async () => {
-            await pagina.goto(CONFIG.outlookUrl, {
-                waitUntil: 'domcontentloaded',
-                timeout: CONFIG.navigationTimeout
-            });
+function aplicarAssinatura(body, signature, formato) {
+    return formato === 'html' ? `${body}<br><br>${signature}` : `${body}\n\n${signature}`;
+}
 
-            // Aguarda campo de email aparecer
-            await pagina.waitForSelector("#i0116", { timeout: 90000 });
-            await pagina.locator("#i0116").fill(email);
-            await pagina.locator("#idSIButton9").click();
+// Substitui accountId por email/senha e configurações da conta armazenada
+async function resolverConta(dados) {
+    if (!dados.accountId) return dados;
 
-            // Aguarda campo de senha
-            await pagina.waitForSelector("#i0118", { timeout: 90000 });
-            await pagina.locator("#i0118").fill(password);
-            await pagina.locator("#idSIButton9").click();
-        });
+    const conta = (await carregarContas()).get(dados.accountId);
+    if (!conta) {
+        throw new EmailApiError('conta_nao_encontrada', `Conta ${dados.accountId} não encontrada`, { status: 404 });
+    }
 
-        // Lida com "Manter conectado" com timeout
-        try {
-            await pagina.waitForSelector("#idSIButton9", { timeout: 15000 });
-            await pagina.locator("#idSIButton9").click();
-            log("Selecionou 'Manter conectado'", 'info');
-        } catch {
-            log("Prompt 'manter conectado' não apareceu ou timeout", 'info');
-        }
+    const { password, totpSecret } = decifrar(conta.credentials);
+    return {
+        ...dados,
+        email: conta.email,
+        password,
+        totpSecret: dados.totpSecret || totpSecret,
+        locale: dados.locale || conta.locale,
+        transport: dados.transport || conta.transports,
+        body: dados.includeSignature && conta.signature
+            ? aplicarAssinatura(dados.body, conta.signature, formatoCorpo(dados))
+            : dados.body
+    };
+}
 
-        // Aguarda carregamento completo com mais tolerância
-        try {
-            await pagina.waitForLoadState('networkidle', { timeout: 60000 });
-        } catch {
-            log("Timeout em networkidle, continuando...", 'warn');
-            await pagina.waitForLoadState('domcontentloaded');
-        }
+// ==================== BODY FORMAT ====================
 
-        await delay(8000); // Delay maior para Render
-        log("✅ Login realizado com sucesso!", 'info');
-        logMemoryUsage("Após login");
+// Allowlist aplicada a todo HTML antes de chegar ao Outlook ou aos transportes
+const ESTILOS_PERMITIDOS = {
+    color: [/^#?[\w\s(),.%-]+$/],
+    'background-color': [/^#?[\w\s(),.%-]+$/],
+    'font-size': [/^[\d.]+(px|pt|em|rem|%)$/],
+    'font-weight': [/^(bold|normal|\d{3})$/],
+    'font-style': [/^(italic|normal)$/],
+    'font-family': [/^[\w\s,'"-]+$/],
+    'text-align': [/^(left|right|center|justify)$/],
+    'text-decoration': [/^(underline|line-through|none)$/]
+};
 
-        // PROCURA E CLICA NO BOTÃO NOVO EMAIL
-        log("📝 Procurando botão 'Novo email'...", 'info');
+const ATRIBUTOS_TABELA = ['align', 'valign', 'width', 'colspan', 'rowspan'];
 
-        const seletoresNovoEmail = [
-            'button.splitPrimaryButton[aria-label="Novo email"]',
-            'button.splitPrimaryButton[aria-label*="Novo"]',
-            '[data-automation-type="RibbonSplitButton"][aria-label="Novo email"] button.splitPrimaryButton',
-            '[data-automation-type="RibbonSplitButton"][aria-label*="Novo"] button.splitPrimaryButton',
-            '.splitButtonContainer button.splitPrimaryButton',
-            '[data-automationid="splitbuttonprimary"]',
-            'button:has-text("Novo email")',
-            'button:has-text("Novo")',
-            '[aria-label="Novo email"]',
-            '[aria-label*="Novo"]'
-        ];
+function opcoesSanitizacao(cidsDisponiveis) {
+    return {
+        allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'span', 'font', 'u', 's', 'del', 'ins', 'sub', 'sup'],
+        allowedAttributes: {
+            a: ['href', 'name', 'target', 'title'],
+            img: ['src', 'alt', 'title', 'width', 'height'],
+            font: ['color', 'face', 'size'],
+            table: ['width', 'border', 'cellpadding', 'cellspacing', 'align'],
+            td: ATRIBUTOS_TABELA,
+            th: ATRIBUTOS_TABELA,
+            '*': ['style', 'dir']
+        },
+        allowedStyles: { '*': ESTILOS_PERMITIDOS },
+        allowedSchemes: ['http', 'https', 'mailto'],
+        allowedSchemesByTag: { img: ['http', 'https', 'cid'] },
+        allowProtocolRelative: false,
+        // cid: só vale para anexos enviados com o mesmo contentId
+        exclusiveFilter: frame => frame.tag === 'img' && /^cid:/i.test(frame.attribs.src || '') &&
+            !cidsDisponiveis.has(frame.attribs.src.slice(4))
+    };
+}
 
-        let botaoClicado = false;
+function escaparHtml(texto) {
+    return texto.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
-        // Tenta cada seletor com mais paciência
-        for (const seletor of seletoresNovoEmail) {
-            if (botaoClicado) break;
+// Texto simples vira HTML escapado, preservando quebras de linha e espaços repetidos
+function textoParaHtml(texto) {
+    return escaparHtml(texto)
+        .replace(/\r\n?/g, '\n')
+        .replace(/ {2}/g, ' &nbsp;')
+        .replace(/\n/g, '<br>');
+}
 
-            try {
-                log(`🔍 Tentando seletor: ${seletor}`, 'info');
-                await pagina.waitForTimeout(2000);
-                
-                const botoes = pagina.locator(seletor);
-                const quantidade = await botoes.count();
-                log(`Encontrados: ${quantidade} elementos`, 'info');
-
-                if (quantidade > 0) {
-                    const indiceMax = Math.min(quantidade, 5);
-
-                    for (let i = 0; i < indiceMax; i++) {
-                        try {
-                            const botao = botoes.nth(i);
-
-                            // Verifica se é o botão primário correto
-                            const isButtonPrimary = await botao.evaluate((el) => {
-                                const hasNewEmailText = el.textContent && (
-                                    el.textContent.includes('Novo email') || 
-                                    el.textContent.includes('Novo') ||
-                                    el.getAttribute('aria-label')?.includes('Novo')
-                                );
-                                const isPrimary = !el.getAttribute('aria-haspopup') || 
-                                                el.classList.contains('splitPrimaryButton');
-                                return hasNewEmailText && isPrimary;
-                            });
-
-                            if (!isButtonPrimary) {
-                                log(`Elemento ${i + 1} não é o botão principal, pulando...`, 'info');
-                                continue;
-                            }
+// Alternativa em texto simples para clientes que não exibem HTML
+function htmlParaTexto(html) {
+    const semTags = sanitizeHtml(
+        html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|h[1-6]|li|tr|blockquote)>/gi, '\n'),
+        { allowedTags: [], allowedAttributes: {} }
+    );
+    return semTags
+        .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
 
-                            const isVisible = await botao.isVisible();
-                            log(`Botão ${i + 1} visível: ${isVisible}`, 'info');
-
-                            if (isVisible) {
-                                await botao.scrollIntoViewIfNeeded();
-                                await delay(3000); // Mais tempo no Render
-                                await botao.focus();
-                                await delay(1500);
-                                
-                                // Click com retry
-                                await retryOperation(async () => {
-                                    await botao.click({ timeout: 20000, force: true });
-                                }, 3, 2000);
-                                
-                                botaoClicado = true;
-                                log(`✅ Clicou no botão usando: ${seletor} (elemento ${i + 1})`, 'info');
-                                break;
-                            }
-                        } catch (error) {
-                            log(`⚠️ Erro no elemento ${i + 1}: ${error.message}`, 'warn');
-                            continue;
-                        }
-                    }
-                }
-            } catch (error) {
-                log(`❌ Erro com seletor ${seletor}: ${error.message}`, 'warn');
-                continue;
-            }
-        }
-
-        // JavaScript fallback aprimorado
-        if (!botaoClicado) {
-            log("🔧 Tentativa JavaScript específica...", 'info');
-            botaoClicado = await pagina.evaluate(() => {
-                // Busca mais agressiva
-                const searchTerms = ['Novo email', 'Novo', 'New mail', 'Compose'];
-                
-                for (const term of searchTerms) {
-                    // Busca por aria-label
-                    const botaoPorLabel = document.querySelector(`button[aria-label*="${term}"]`);
-                    if (botaoPorLabel && botaoPorLabel.offsetParent !== null) {
-                        botaoPorLabel.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                        botaoPorLabel.focus();
-                        botaoPorLabel.click();
-                        return true;
-                    }
+// Sem bodyFormat, considera HTML apenas quando há tags de fato (não "a < b > c")
+function formatoCorpo({ body = '', bodyFormat }) {
+    return bodyFormat || (/<\/?[a-z][^>]*>/i.test(body) ? 'html' : 'text');
+}
 
-                    // Busca por texto
-                    const elementos = document.querySelectorAll('button, [role="button"]');
-                    for (let el of elementos) {
-                        if (el.textContent && el.textContent.includes(term) && 
-                            el.offsetParent !== null) {
-                            el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                            el.focus();
-                            el.click();
-                            return true;
-                        }
-                    }
-                }
-                return false;
-            });
+// Corpo final em HTML sanitizado + texto, com os contentIds realmente referenciados
+function renderizarCorpo({ body = '', bodyFormat, attachments = [] }) {
+    const format = formatoCorpo({ body, bodyFormat });
 
-            if (botaoClicado) {
-                log("✅ Clicou usando JavaScript específico!", 'info');
-                await delay(8000);
-            }
-        }
+    if (format === 'text') {
+        return { format, text: body, html: textoParaHtml(body), inlineIds: new Set() };
+    }
 
-        if (!botaoClicado) {
-            throw new Error("❌ Não foi possível clicar no botão 'Novo email' após todas as tentativas");
-        }
+    const cidsDisponiveis = new Set(attachments.filter(att => att.contentId).map(att => att.contentId));
+    const origem = format === 'markdown' ? marked.parse(body, { async: false, gfm: true, breaks: true }) : body;
+    const html = sanitizeHtml(origem, opcoesSanitizacao(cidsDisponiveis));
+    const inlineIds = new Set([...html.matchAll(/src="cid:([^"]+)"/gi)].map(match => match[1]));
 
-        // Aguarda janela de composição com timeout maior
-        log("⏳ Aguardando janela de composição...", 'info');
-        await retryOperation(async () => {
-            await pagina.waitForSelector('[aria-label="Para"]', { timeout: 45000 });
-        });
-        
-        log("✅ Janela de composição aberta!", 'info');
-        logMemoryUsage("Janela de composição");
+    return { format, text: htmlParaTexto(html), html, inlineIds };
+}
 
-        // PREENCHE OS CAMPOS com delays maiores
-        log("📧 Preenchendo destinatários...", 'info');
-        const campoPara = pagina.locator('[aria-label="Para"]').first();
-        await campoPara.click();
-        await delay(2000);
-        await campoPara.fill(to.join("; "));
-        await delay(3000);
+// No Outlook Web, cid: vira data URI (o OWA converte em anexo inline ao enviar)
+function incorporarImagensInline(html, attachments) {
+    return html.replace(/src="cid:([^"]+)"/gi, (trecho, contentId) => {
+        const anexo = attachments.find(att => att.contentId === contentId);
+        return anexo ? `src="data:${anexo.contentType};base64,${anexo.content.replace(/[\r\n]/g, '')}"` : trecho;
+    });
+}
 
-        // CC se houver
-        if (cc && cc.length > 0) {
-            log("📋 Preenchendo cópia...", 'info');
-            try {
-                // Tenta mostrar campo CC se não visível
-                const botaoCc = pagina.locator('[aria-label="Mostrar Cc"]').or(pagina.locator('button:has-text("Cc")'));
-                if (await botaoCc.count() > 0) {
-                    await botaoCc.first().click();
-                    await delay(2000);
-                }
+// ==================== SESSION MANAGER ====================
 
-                const campoCc = pagina.locator('[aria-label="Cc"]').first();
-                await campoCc.click();
-                await delay(2000);
-                await campoCc.fill(cc.join("; "));
-                await delay(3000);
-            } catch (error) {
-                log(`⚠️ Erro ao preencher CC: ${error.message}`, 'warn');
-            }
-        }
+// Um navegador compartilhado, um contexto (com página) por conta
+let navegadorCompartilhado = null;
+// Lançamento em andamento, compartilhado por chamadas concorrentes
+let lancamentoNavegador = null;
+const sessions = new Map();
+const savedStates = new Map();
+const accountLocks = new Map();
+// Contextos sendo criados ainda não estão em sessions, mas já usam o navegador
+let contextosPendentes = 0;
 
-        // ASSUNTO
-        log("📌 Preenchendo assunto...", 'info');
-        const campoAssunto = pagina.locator('[aria-label="Assunto"]').first();
-        await campoAssunto.click();
-        await delay(2000);
-        await campoAssunto.fill(subject);
-        await delay(3000);
+function hashCredentials(email, password) {
+    return createHash('sha256').update(`${email}:${password}`).digest('hex');
+}
 
-        // CORPO
-        if (body) {
-            log("✍️ Preenchendo corpo da mensagem...", 'info');
-            const seletoresCorpo = [
-                '[aria-label="Corpo da mensagem"]',
-                '[aria-label*="Corpo"]',
-                '[aria-label*="Message body"]',
-                '[role="textbox"][aria-multiline="true"]',
-                '.rps_1fb8 [role="textbox"]'
-            ];
+async function getBrowser() {
+    if (navegadorCompartilhado && navegadorCompartilhado.isConnected()) {
+        return navegadorCompartilhado;
+    }
 
-            let corpoPreenchido = false;
-            for (const seletor of seletoresCorpo) {
-                try {
-                    const editor = pagina.locator(seletor).first();
-                    if (await editor.count() > 0) {
-                        await editor.click();
-                        await delay(3000);
-                        
-                        // Limpa conteúdo existente
-                        await pagina.keyboard.press('Control+a');
-                        await delay(1000);
-
-                        if (body.includes('<') && body.includes('>')) {
-                            // HTML content
-                            await pagina.evaluate((html, selector) => {
-                                const editor = document.querySelector(selector);
-                                if (editor) {
-                                    editor.innerHTML = html;
-                                }
-                            }, body, seletor);
-                        } else {
-                            // Texto simples
-                            await editor.fill(body);
-                        }
-                        
-                        await delay(3000);
-                        corpoPreenchido = true;
-                        break;
-                    }
-                } catch (error) {
-                    log(`Tentativa de preencher corpo com ${seletor} falhou: ${error.message}`, 'warn');
-                    continue;
-                }
-            }
+    if (!lancamentoNavegador) {
+        lancamentoNavegador = lancarNavegador().finally(() => {
+            lancamentoNavegador = null;
+        });
+    }
+    return lancamentoNavegador;
+}
 
-            if (!corpoPreenchido) {
-                log("⚠️ Não foi possível preencher o corpo da mensagem", 'warn');
-            }
-        }
+async function lancarNavegador() {
+    const navegador = await retryOperation(async () => {
+        return await chromium.launch({
+            headless: process.env.HEADLESS !== 'false',
+            args: CONFIG.browserArgs,
+            timeout: CONFIG.timeoutMs,
+            slowMo: CONFIG.slowMoMs
+        });
+    });
 
-        log("📤 Enviando email...", 'info');
-        logMemoryUsage("Antes de enviar");
+    navegador.on('disconnected', () => {
+        if (navegadorCompartilhado !== navegador) return;
+        logger.warn("Navegador desconectado, descartando sessões");
+        sessions.clear();
+        navegadorCompartilhado = null;
+    });
 
-        // ENVIO com mais tentativas
-        const seletoresEnviar = [
-            'button[aria-label="Enviar"]',
-            'button:has-text("Enviar")',
-            '[data-automation-id="Send"]',
-            '[title="Enviar"]',
-            'span:has-text("Enviar")',
-            'button[type="submit"]',
-            '.ms-Button--primary:has-text("Enviar")'
-        ];
+    navegadorCompartilhado = navegador;
+    logger.info("Navegador Chromium compartilhado iniciado");
+    return navegador;
+}
 
-        let emailEnviado = false;
+// Serializa o uso de uma mesma conta (a sessão tem uma única página)
+async function lockAccount(email) {
+    const anterior = accountLocks.get(email) || Promise.resolve();
+    let liberar;
+    const atual = new Promise(resolve => { liberar = resolve; });
+    const cadeia = anterior.then(() => atual);
+    accountLocks.set(email, cadeia);
 
-        await retryOperation(async () => {
-            for (const seletor of seletoresEnviar) {
-                try {
-                    const botaoEnviar = pagina.locator(seletor);
-                    const count = await botaoEnviar.count();
-                    
-                    if (count > 0) {
-                        const botao = botaoEnviar.first();
-                        await botao.scrollIntoViewIfNeeded();
-                        await delay(2000);
-                        await botao.click();
-                        emailEnviado = true;
-                        log(`✅ Email enviado usando seletor: ${seletor}`, 'info');
-                        break;
-                    }
-                } catch (error) {
-                    continue;
+    await anterior;
+
+    return () => {
+        liberar();
+        if (accountLocks.get(email) === cadeia) {
+            accountLocks.delete(email);
+        }
+    };
+}
+
+async function acquireSession(email, password, log) {
+    const credentialsHash = hashCredentials(email, password);
+    let session = sessions.get(email);
+
+    // Senha diferente da usada no login não reaproveita a sessão
+    if (session && session.credentialsHash !== credentialsHash) {
+        log("🔑 Credenciais diferentes da sessão aberta, recriando sessão", 'info');
+        await closeSession(email, { saveState: false });
+        savedStates.delete(email);
+        session = null;
+    }
+
+    if (session && !session.page.isClosed()) {
+        const idleMs = Date.now() - session.lastUsed;
+        session.busy = true;
+        session.log = log;
+        session.lastUsed = Date.now();
+        return { session, reused: true, idleMs };
+    }
+
+    if (session) {
+        await closeSession(email, { saveState: false });
+    }
+
+    // Respeita o limite de contextos abertos
+    if (sessions.size >= CONFIG.maxSessions) {
+        const ociosas = [...sessions.values()]
+            .filter(s => !s.busy)
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+
+        if (ociosas.length === 0) {
+            throw new Error(`Limite de ${CONFIG.maxSessions} sessões simultâneas atingido`);
+        }
+
+        log(`♻️ Limite de sessões atingido, encerrando sessão ociosa mais antiga`, 'info');
+        await closeSession(ociosas[0].email);
+    }
+
+    let criada = null;
+    contextosPendentes++;
+    try {
+        criada = await criarSessao(email, credentialsHash, log);
+    } finally {
+        contextosPendentes--;
+        // Falha na criação não deixa o navegador aberto sem sessões
+        if (!criada) await fecharNavegadorOcioso();
+    }
+
+    log(`🆕 Nova sessão criada${criada.restaurada ? ' a partir do estado salvo' : ''} (${sessions.size}/${CONFIG.maxSessions})`, 'info');
+    return { session: criada, reused: false, idleMs: 0 };
+}
+
+async function criarSessao(email, credentialsHash, log) {
+    const navegador = await getBrowser();
+
+    const salvo = savedStates.get(email);
+    const storageState = salvo && salvo.credentialsHash === credentialsHash &&
+        Date.now() - salvo.savedAt < CONFIG.sessionStateTtlMs ? salvo.state : undefined;
+
+    const contexto = await navegador.newContext({
+        userAgent: "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+        viewport: { width: 1366, height: 768 },
+        ignoreHTTPSErrors: true,
+        permissions: [],
+        storageState,
+        // Configurações para economizar recursos
+        reducedMotion: 'reduce',
+        forcedColors: 'none',
+        colorScheme: 'light'
+    });
+
+    const pagina = await contexto.newPage();
+
+    // Timeouts específicos para Render
+    pagina.setDefaultTimeout(CONFIG.timeoutMs);
+    pagina.setDefaultNavigationTimeout(CONFIG.navigationTimeout);
+
+    // Bloquear recursos desnecessários mais agressivamente
+    await pagina.route('**/*.{png,jpg,jpeg,gif,svg,ico,woff,woff2,mp4,mp3,pdf}', route => route.abort());
+    await pagina.route('**/analytics/**', route => route.abort());
+    await pagina.route('**/tracking/**', route => route.abort());
+    await pagina.route('**/ads/**', route => route.abort());
+
+    const session = {
+        email,
+        credentialsHash,
+        context: contexto,
+        page: pagina,
+        busy: true,
+        log,
+        restaurada: !!storageState,
+        createdAt: Date.now(),
+        lastUsed: Date.now()
+    };
+
+    // Interceptar erros de console
+    pagina.on('console', msg => {
+        if (msg.type() === 'error') {
+            session.log(`Console Error: ${msg.text()}`, 'warn');
+        }
+    });
+
+    sessions.set(email, session);
+    return session;
+}
+
+function releaseSession(email) {
+    const session = sessions.get(email);
+    if (session) {
+        session.busy = false;
+        session.lastUsed = Date.now();
+    }
+}
+
+async function closeSession(email, { saveState = true } = {}) {
+    const session = sessions.get(email);
+    if (!session) return;
+    sessions.delete(email);
+
+    try {
+        // Guarda cookies/storage para evitar novo login ao recriar o contexto
+        if (saveState) {
+            const state = await session.context.storageState();
+            savedStates.set(email, { state, credentialsHash: session.credentialsHash, savedAt: Date.now() });
+        }
+        await session.context.close();
+    } catch (error) {
+        logger.warn({ error: error.message }, "Erro ao fechar sessão");
+    }
+
+    await fecharNavegadorOcioso();
+}
+
+// Sem sessões abertas nem contextos em criação, libera a memória do navegador
+async function fecharNavegadorOcioso() {
+    if (sessions.size > 0 || contextosPendentes > 0 || !navegadorCompartilhado) return;
+
+    const navegador = navegadorCompartilhado;
+    navegadorCompartilhado = null;
+    await navegador.close().catch(() => {});
+    logger.info("Navegador fechado (nenhuma sessão ativa)");
+}
+
+// Sessão ociosa só é fechada com o lock da conta (pode ter sido retomada enquanto aguardava)
+async function encerrarSessaoOciosa(email) {
+    const unlock = await lockAccount(email);
+    try {
+        const session = sessions.get(email);
+        if (session && !session.busy && Date.now() - session.lastUsed > CONFIG.sessionIdleMs) {
+            logger.info({ email: email.substring(0, 5) + '***' }, "Encerrando sessão ociosa");
+            await closeSession(email);
+        }
+    } finally {
+        unlock();
+    }
+}
+
+// Descarta sessão e estado salvo de uma conta, aguardando envio em andamento
+async function encerrarSessaoConta(email) {
+    const unlock = await lockAccount(email);
+    try {
+        await closeSession(email, { saveState: false });
+        savedStates.delete(email);
+    } finally {
+        unlock();
+    }
+}
+
+async function closeAllSessions() {
+    for (const email of [...sessions.keys()]) {
+        await closeSession(email, { saveState: false });
+    }
+}
+
+// Classifica a tela atual do fluxo de login da Microsoft
+async function detectarEstadoLogin(pagina) {
+    try {
+        return await pagina.evaluate(() => {
+            const visivel = seletor => {
+                const el = document.querySelector(seletor);
+                return !!el && el.offsetParent !== null;
+            };
+            const texto = (document.body?.innerText || '').toLowerCase();
+
+            if (location.hostname.startsWith('outlook.') &&
+                document.querySelector('button.splitPrimaryButton, [data-automationid="splitbuttonprimary"], [role="main"]')) {
+                return 'mailbox';
+            }
+            if (visivel('#hipTemplateContainer') || visivel('#enforcementFrame') ||
+                document.querySelector('iframe[src*="captcha" i], iframe[title*="captcha" i]')) {
+                return 'captcha';
+            }
+            if (visivel('#usernameError')) return 'invalid_credentials';
+            if (visivel('#passwordError')) {
+                const erro = document.querySelector('#passwordError').textContent.toLowerCase();
+                return /bloquead|locked/.test(erro) ? 'account_locked' : 'invalid_credentials';
+            }
+            if (visivel('#idTD_Error') || /conta (foi )?bloqueada|account (has been |is )?locked/.test(texto)) {
+                return 'account_locked';
+            }
+            if (visivel('#ChangePasswordForm') || visivel('#currentPassword') || visivel('#newPassword') ||
+                /senha expirou|password has expired|atualize sua senha|update your password/.test(texto)) {
+                return 'password_expired';
+            }
+            if (visivel('#idSpan_SAOTCC_Error_OTC')) return 'invalid_mfa_code';
+            if (visivel('#idTxtBx_SAOTCC_OTC') || visivel('input[name="otc"]')) return 'mfa_code';
+            if (visivel('#idDiv_SAOTCS_Proofs')) return 'mfa_choice';
+            if (visivel('#idDiv_SAOTCAS_Title') || visivel('#idRichContext_DisplaySign')) return 'mfa_required';
+            if (visivel('#KmsiCheckboxField') || visivel('#KmsiDescription') || visivel('#kmsiTitle')) return 'kmsi';
+            if (visivel('#i0118')) return 'password';
+            if (visivel('#i0116')) return 'username';
+            return null;
+        });
+    } catch {
+        // Contexto destruído durante navegação; tenta novamente no próximo ciclo
+        return null;
+    }
+}
+
+// Aguarda uma das telas esperadas; telas de erro viram EmailApiError tipado
+async function aguardarEstadoLogin(pagina, esperados, timeout = 90000) {
+    const limite = Date.now() + timeout;
+    let estado = null;
+
+    while (Date.now() < limite) {
+        estado = await detectarEstadoLogin(pagina);
+
+        if (esperados.includes(estado)) {
+            return estado;
+        }
+        if (estado === 'mfa_code' || estado === 'mfa_choice') {
+            throw loginError('mfa_required');
+        }
+        if (estado && LOGIN_ERRORS[estado]) {
+            throw loginError(estado);
+        }
+
+        await delay(250);
+    }
+
+    const titulo = await pagina.title().catch(() => '');
+    throw loginError('unknown_interstitial', `${titulo || pagina.url()} (aguardando ${esperados.join('/')})`);
+}
+
+// Responde ao prompt de código do autenticador com TOTP ou código informado
+async function responderMfa(pagina, estado, { totpSecret, mfaCode }, log) {
+    if (!totpSecret && !mfaCode) {
+        throw loginError('mfa_required', "informe totpSecret ou mfaCode");
+    }
+
+    // Tela de escolha de método: seleciona código do aplicativo autenticador
+    if (estado === 'mfa_choice') {
+        await pagina.locator('[data-value="PhoneAppOTP"]').first().click();
+        await aguardarEstadoLogin(pagina, ['mfa_code']);
+    }
+
+    const codigo = totpSecret ? gerarTotp(totpSecret) : mfaCode;
+    await pagina.locator('#idTxtBx_SAOTCC_OTC, input[name="otc"]').first().fill(codigo);
+    await pagina.locator('#idSubmit_SAOTCC_Continue, #idSIButton9').first().click();
+    log(`🔑 Código MFA enviado (${totpSecret ? 'TOTP' : 'código informado'})`, 'info');
+
+    return await aguardarEstadoLogin(pagina, ['kmsi', 'mailbox']);
+}
+
+// Navega para o Outlook e faz login apenas se a sessão expirou
+async function ensureLoggedIn(pagina, { email, password, totpSecret, mfaCode }, log, { recente = false } = {}) {
+    // Sessão usada há pouco e ainda na caixa de correio: evita recarregar o Outlook
+    if (recente && await detectarEstadoLogin(pagina) === 'mailbox') {
+        return false;
+    }
+
+    await pagina.goto(CONFIG.outlookUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout: CONFIG.navigationTimeout
+    });
+
+    // Aguarda a tela de login ou a caixa de correio carregada
+    if (await aguardarEstadoLogin(pagina, ['username', 'mailbox']) === 'mailbox') {
+        return false;
+    }
+
+    log("🔐 Sessão expirada ou inexistente, fazendo login...", 'info');
+
+    // LOGIN com retry automático (erros de credencial não são repetidos)
+    const estadoFinal = await retryOperation(async () => {
+        if (await detectarEstadoLogin(pagina) !== 'username') {
+            await pagina.goto(CONFIG.outlookUrl, {
+                waitUntil: 'domcontentloaded',
+                timeout: CONFIG.navigationTimeout
+            });
+            await aguardarEstadoLogin(pagina, ['username']);
+        }
+
+        await pagina.locator("#i0116").fill(email);
+        await pagina.locator("#idSIButton9").click();
+
+        // Aguarda campo de senha
+        await aguardarEstadoLogin(pagina, ['password']);
+        await pagina.locator("#i0118").fill(password);
+        await pagina.locator("#idSIButton9").click();
+
+        const estado = await aguardarEstadoLogin(pagina, ['kmsi', 'mailbox', 'mfa_code', 'mfa_choice']);
+
+        // MFA: "Manter conectado" ainda pode aparecer depois do código
+        if (estado === 'mfa_code' || estado === 'mfa_choice') {
+            return await responderMfa(pagina, estado, { totpSecret, mfaCode }, log);
+        }
+        return estado;
+    });
+
+    // Lida com "Manter conectado"
+    if (estadoFinal === 'kmsi') {
+        await pagina.locator("#idSIButton9").click();
+        log("Selecionou 'Manter conectado'", 'info');
+        await aguardarEstadoLogin(pagina, ['mailbox']);
+    }
+
+    return true;
+}
+
+// Encerra sessões ociosas e estados salvos expirados
+setInterval(() => {
+    const agora = Date.now();
+    for (const session of [...sessions.values()]) {
+        if (!session.busy && agora - session.lastUsed > CONFIG.sessionIdleMs) {
+            encerrarSessaoOciosa(session.email).catch(error => {
+                logger.warn({ error: error.message }, "Erro ao encerrar sessão ociosa");
+            });
+        }
+    }
+    for (const [email, salvo] of savedStates) {
+        if (agora - salvo.savedAt > CONFIG.sessionStateTtlMs) {
+            savedStates.delete(email);
+        }
+    }
+}, 60000).unref();
+
+// ==================== SELECTOR REGISTRY ====================
+
+const UI_LOCALES = ['pt-BR', 'en-US', 'es-ES'];
+
+// Rótulos da interface por idioma, por elemento lógico da composição
+const ROTULOS_UI = {
+    'pt-BR': {
+        newMessage: ['Novo email', 'Nova mensagem'],
+        to: ['Para'],
+        cc: ['Cc'],
+        bcc: ['Cco'],
+        showCc: ['Mostrar Cc', 'Cc'],
+        showBcc: ['Mostrar Cco', 'Cco'],
+        subject: ['Assunto', 'Adicionar um assunto'],
+        body: ['Corpo da mensagem'],
+        send: ['Enviar'],
+        optionsTab: ['Opções'],
+        moreOptions: ['Mais opções'],
+        discard: ['Descartar'],
+        confirmDiscard: ['OK', 'Descartar'],
+        from: ['De'],
+        showFrom: ['Mostrar De'],
+        otherAddress: ['Outro endereço'],
+        importanceHigh: ['Alta importância'],
+        importanceLow: ['Baixa importância'],
+        messageOptions: ['Mostrar opções de mensagem'],
+        readReceipt: ['confirmação de leitura'],
+        deliveryReceipt: ['confirmação de entrega'],
+        setReplyTo: ['Responder para', 'Definir endereço de resposta'],
+        confirmDialog: ['OK', 'Salvar'],
+        attach: ['Anexar'],
+        browseComputer: ['Procurar neste computador'],
+        reply: ['Responder'],
+        replyAll: ['Responder a todos'],
+        forward: ['Encaminhar']
+    },
+    'en-US': {
+        newMessage: ['New mail', 'New message', 'New email'],
+        to: ['To'],
+        cc: ['Cc'],
+        bcc: ['Bcc'],
+        showCc: ['Show Cc', 'Cc'],
+        showBcc: ['Show Bcc', 'Bcc'],
+        subject: ['Subject', 'Add a subject'],
+        body: ['Message body'],
+        send: ['Send'],
+        optionsTab: ['Options'],
+        moreOptions: ['More options'],
+        discard: ['Discard'],
+        confirmDiscard: ['OK', 'Discard'],
+        from: ['From'],
+        showFrom: ['Show From'],
+        otherAddress: ['Other email address'],
+        importanceHigh: ['High importance'],
+        importanceLow: ['Low importance'],
+        messageOptions: ['Show message options'],
+        readReceipt: ['read receipt'],
+        deliveryReceipt: ['delivery receipt'],
+        setReplyTo: ['Reply to', 'Set reply address'],
+        confirmDialog: ['OK', 'Save'],
+        attach: ['Attach'],
+        browseComputer: ['Browse this computer'],
+        reply: ['Reply'],
+        replyAll: ['Reply all'],
+        forward: ['Forward']
+    },
+    'es-ES': {
+        newMessage: ['Correo nuevo', 'Nuevo correo', 'Mensaje nuevo'],
+        to: ['Para'],
+        cc: ['CC', 'Cc'],
+        bcc: ['CCO', 'Cco'],
+        showCc: ['Mostrar CC', 'CC'],
+        showBcc: ['Mostrar CCO', 'CCO'],
+        subject: ['Asunto', 'Agregar un asunto', 'Añadir un asunto'],
+        body: ['Cuerpo del mensaje'],
+        send: ['Enviar'],
+        optionsTab: ['Opciones'],
+        moreOptions: ['Más opciones'],
+        discard: ['Descartar'],
+        confirmDiscard: ['Aceptar', 'Descartar'],
+        from: ['De'],
+        showFrom: ['Mostrar De'],
+        otherAddress: ['Otra dirección de correo'],
+        importanceHigh: ['Importancia alta'],
+        importanceLow: ['Importancia baja'],
+        messageOptions: ['Mostrar opciones de mensaje'],
+        readReceipt: ['confirmación de lectura'],
+        deliveryReceipt: ['confirmación de entrega'],
+        setReplyTo: ['Establecer dirección de respuesta', 'Responder a'],
+        confirmDialog: ['Aceptar', 'Guardar'],
+        attach: ['Adjuntar'],
+        browseComputer: ['Examinar este equipo'],
+        reply: ['Responder'],
+        replyAll: ['Responder a todos'],
+        forward: ['Reenviar']
+    }
+};
+
+// Atributos independentes de idioma, sempre tentados antes dos rótulos
+const SELETORES_NEUTROS = {
+    newMessage: [
+        '[data-automation-type="RibbonSplitButton"] button.splitPrimaryButton',
+        '[data-automationid="splitbuttonprimary"]',
+        '.splitButtonContainer button.splitPrimaryButton'
+    ],
+    body: [
+        'div[contenteditable="true"][role="textbox"][aria-multiline="true"]',
+        '[role="textbox"][aria-multiline="true"]'
+    ],
+    send: ['[data-automation-id="Send"]', 'button[data-testid="ComposeSendButton"]']
+};
+
+const MODELOS_SELETOR = {
+    button: rotulo => [`button[aria-label="${rotulo}"]`, `[role="button"][aria-label="${rotulo}"]`, `button[title="${rotulo}"]`, `button:has-text("${rotulo}")`],
+    field: rotulo => [`[aria-label="${rotulo}"]`],
+    editor: rotulo => [`[aria-label="${rotulo}"]`, `[aria-label*="${rotulo}"]`],
+    tab: rotulo => [`[role="tab"]:has-text("${rotulo}")`],
+    // Seletor "De": rótulo costuma vir seguido do endereço atual
+    picker: rotulo => [`button[aria-label^="${rotulo}"]`, `[aria-label="${rotulo}"]`],
+    menuitem: rotulo => [`[role="menuitem"]:has-text("${rotulo}")`],
+    // Botão no ribbon ou item do menu "Mais opções" (ribbon simplificado)
+    command: rotulo => [`button[aria-label="${rotulo}"]`, `button:has-text("${rotulo}")`, `[role="menuitem"]:has-text("${rotulo}")`],
+    checkbox: rotulo => [`[role="checkbox"][aria-label*="${rotulo}" i]`],
+    dialogButton: rotulo => [`[role="dialog"] button:has-text("${rotulo}")`],
+    attach: rotulo => [`button[aria-label*="${rotulo}"]`, `button:has-text("${rotulo}")`]
+};
+
+const TIPOS_ELEMENTO = {
+    newMessage: 'button',
+    to: 'field',
+    cc: 'field',
+    bcc: 'field',
+    showCc: 'button',
+    showBcc: 'button',
+    subject: 'field',
+    body: 'editor',
+    send: 'button',
+    optionsTab: 'tab',
+    moreOptions: 'button',
+    discard: 'button',
+    confirmDiscard: 'button',
+    from: 'picker',
+    showFrom: 'button',
+    otherAddress: 'menuitem',
+    importanceHigh: 'button',
+    importanceLow: 'button',
+    messageOptions: 'command',
+    readReceipt: 'checkbox',
+    deliveryReceipt: 'checkbox',
+    setReplyTo: 'command',
+    confirmDialog: 'dialogButton',
+    attach: 'attach',
+    browseComputer: 'button',
+    reply: 'button',
+    replyAll: 'button',
+    forward: 'button'
+};
+
+// Rótulos do idioma detectado primeiro, depois os demais como fallback
+function rotulosElemento(elemento, locale) {
+    const ordem = [locale, ...UI_LOCALES.filter(l => l !== locale)];
+    return [...new Set(ordem.flatMap(l => ROTULOS_UI[l][elemento] || []))];
+}
+
+function seletoresElemento(elemento, locale) {
+    const porRotulo = rotulosElemento(elemento, locale).flatMap(MODELOS_SELETOR[TIPOS_ELEMENTO[elemento]]);
+    return [...new Set([...(SELETORES_NEUTROS[elemento] || []), ...porRotulo])];
+}
+
+// Rótulos como regex (getByRole com nome parcial, sem diferenciar maiúsculas)
+function padraoRotulos(elemento, locale) {
+    const alternativas = rotulosElemento(elemento, locale).map(rotulo => rotulo.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(alternativas.join('|'), 'i');
+}
+
+function normalizarLocale(lang) {
+    const prefixo = (lang || '').toLowerCase().slice(0, 2);
+    return UI_LOCALES.find(l => l.toLowerCase().startsWith(prefixo)) || CONFIG.defaultLocale;
+}
+
+// Idioma da interface pelo atributo lang do documento do Outlook
+async function detectarLocale(pagina) {
+    const lang = await pagina.evaluate(() => document.documentElement.lang || navigator.language || '').catch(() => '');
+    return normalizarLocale(lang);
+}
+
+// Localiza o primeiro seletor visível do elemento lógico e loga qual casou
+async function localizarElemento(pagina, elemento, locale, log, { timeout } = {}) {
+    const seletores = seletoresElemento(elemento, locale);
+    await pagina.locator(seletores.join(', ')).first().waitFor({ state: 'visible', timeout });
+
+    for (const seletor of seletores) {
+        const candidato = pagina.locator(seletor).first();
+        if (await candidato.count() > 0 && await candidato.isVisible()) {
+            log(`🎯 ${elemento} [${locale}]: ${seletor}`, 'debug');
+            return { locator: candidato, seletor };
+        }
+    }
+
+    throw new Error(`Elemento '${elemento}' não encontrado na interface (${locale})`);
+}
+
+// ==================== COMPOSE HELPERS ====================
+
+// Aguarda o DOM do alvo ficar sem mutações por quietMs (não falha no timeout)
+async function aguardarDomEstavel(pagina, seletor = 'body', { quietMs = 300, timeout = 5000 } = {}) {
+    await pagina.evaluate(({ seletor, quietMs, timeout }) => new Promise(resolve => {
+        const alvo = document.querySelector(seletor) || document.body;
+        let silencio = setTimeout(fim, quietMs);
+        const limite = setTimeout(fim, timeout);
+        const observer = new MutationObserver(() => {
+            clearTimeout(silencio);
+            silencio = setTimeout(fim, quietMs);
+        });
+
+        function fim() {
+            observer.disconnect();
+            clearTimeout(silencio);
+            clearTimeout(limite);
+            resolve();
+        }
+
+        observer.observe(alvo, { childList: true, subtree: true, attributes: true, characterData: true });
+    }), { seletor, quietMs, timeout }).catch(() => {});
+}
+
+// Clica no primeiro seletor visível da lista; retorna o seletor usado
+async function clicarPrimeiroVisivel(pagina, seletores) {
+    for (const seletor of seletores) {
+        const elemento = pagina.locator(seletor).first();
+        if (await elemento.count() > 0 && await elemento.isVisible()) {
+            await elemento.click();
+            return seletor;
+        }
+    }
+    return null;
+}
+
+// Abre a aba "Opções" do ribbon da composição
+async function abrirAbaOpcoes(pagina, locale) {
+    if (await clicarPrimeiroVisivel(pagina, seletoresElemento('optionsTab', locale))) {
+        await aguardarDomEstavel(pagina, '[role="toolbar"]');
+    }
+}
+
+// Preenche um campo de destinatários (to, cc, bcc), exibindo-o se necessário
+async function preencherDestinatarios(pagina, locale, { campo, mostrar }, enderecos, log) {
+    const visivel = await pagina.locator(seletoresElemento(campo, locale).join(', ')).first().isVisible();
+    if (mostrar && !visivel) {
+        await clicarPrimeiroVisivel(pagina, seletoresElemento(mostrar, locale));
+    }
+
+    const { locator: campoLocator, seletor } = await localizarElemento(pagina, campo, locale, log);
+    await campoLocator.click();
+    await campoLocator.fill(enderecos.join("; "));
+
+    // Outlook resolve os endereços em "pílulas" logo após o preenchimento
+    await aguardarDomEstavel(pagina, seletor);
+}
+
+// Seleciona caixa compartilhada ou alias no seletor "De"
+async function selecionarRemetente(pagina, from, locale, log) {
+    const seletoresCampoDe = seletoresElemento('from', locale);
+
+    let campoDe = null;
+    for (const seletor of seletoresCampoDe) {
+        if (await pagina.locator(seletor).first().isVisible()) {
+            campoDe = pagina.locator(seletor).first();
+            break;
+        }
+    }
+
+    // Campo "De" fica oculto por padrão; exibe pelo menu de opções
+    if (!campoDe) {
+        await abrirAbaOpcoes(pagina, locale);
+        const exibiu = await clicarPrimeiroVisivel(pagina, seletoresElemento('showFrom', locale));
+        if (!exibiu) {
+            throw new Error("Não foi possível exibir o campo 'De'");
+        }
+        campoDe = pagina.locator(seletoresCampoDe.join(', ')).first();
+        await campoDe.waitFor({ state: 'visible' });
+    }
+
+    await campoDe.click();
+    await pagina.locator('[role="menu"], [role="listbox"]').first().waitFor({ state: 'visible' });
+
+    // Endereço já listado no menu
+    const opcao = pagina.locator(`[role="menuitem"]:has-text("${from}"), [role="option"]:has-text("${from}")`).first();
+    if (await opcao.count() > 0) {
+        await opcao.click();
+    } else {
+        // "Outro endereço de email" permite digitar o alias/caixa compartilhada
+        const outro = await clicarPrimeiroVisivel(pagina, seletoresElemento('otherAddress', locale));
+        if (!outro) {
+            throw new Error(`Remetente '${from}' não disponível no seletor 'De'`);
+        }
+        const campoTexto = pagina.locator(rotulosElemento('from', locale)
+            .flatMap(rotulo => [`[aria-label^="${rotulo}"] input`, `input[aria-label^="${rotulo}"]`]).join(', ')).first();
+        await campoTexto.fill(from);
+        await campoTexto.press('Enter');
+    }
+
+    await aguardarDomEstavel(pagina);
+    log(`✅ Remetente selecionado: ${from}`, 'info');
+}
+
+const ELEMENTOS_IMPORTANCIA = { high: 'importanceHigh', low: 'importanceLow' };
+
+async function localizarBotaoImportancia(pagina, nivel, locale) {
+    for (const seletor of seletoresElemento(ELEMENTOS_IMPORTANCIA[nivel], locale)) {
+        const botao = pagina.locator(seletor).first();
+        if (await botao.count() > 0 && await botao.isVisible()) {
+            return botao;
+        }
+    }
+    return null;
+}
+
+async function botaoPressionado(botao) {
+    const pressed = await botao.getAttribute('aria-pressed');
+    const checked = await botao.getAttribute('aria-checked');
+    return pressed === 'true' || checked === 'true';
+}
+
+// Aplica a prioridade high/low como importância da mensagem (toggles do ribbon);
+// composição nova já nasce com importância normal
+async function definirImportancia(pagina, priority, locale, log) {
+    await abrirAbaOpcoes(pagina, locale);
+
+    let botao = await localizarBotaoImportancia(pagina, priority, locale);
+
+    // Ribbon simplificado esconde os toggles no menu "Mais opções"
+    if (!botao) {
+        if (await clicarPrimeiroVisivel(pagina, seletoresElemento('moreOptions', locale))) {
+            await pagina.locator('[role="menu"]').first().waitFor({ state: 'visible' });
+            botao = await localizarBotaoImportancia(pagina, priority, locale);
+        }
+    }
+
+    if (!botao) {
+        throw sendError('importance_not_applied', `'${priority}': botão não encontrado`);
+    }
+
+    if (!(await botaoPressionado(botao))) {
+        await botao.click();
+        await aguardarDomEstavel(pagina, '[role="toolbar"]');
+    }
+
+    // Menus fecham após o clique; relocaliza (reabrindo o menu se preciso) para verificar o estado
+    let confirmado = await localizarBotaoImportancia(pagina, priority, locale);
+    if (!confirmado && await clicarPrimeiroVisivel(pagina, seletoresElemento('moreOptions', locale))) {
+        await pagina.locator('[role="menu"]').first().waitFor({ state: 'visible' });
+        confirmado = await localizarBotaoImportancia(pagina, priority, locale);
+        await pagina.keyboard.press('Escape');
+    }
+    if (!confirmado) {
+        throw sendError('importance_not_applied', `'${priority}': não foi possível conferir o estado do toggle`);
+    }
+    if (!(await botaoPressionado(confirmado))) {
+        throw sendError('importance_not_applied', `'${priority}': toggle não ficou ativo`);
+    }
+
+    log(`✅ Importância definida: ${priority}`, 'info');
+    return priority;
+}
+
+// Marca confirmação de leitura/entrega no diálogo "Opções de mensagem"
+async function solicitarConfirmacoes(pagina, { read, delivery }, locale, log) {
+    await abrirAbaOpcoes(pagina, locale);
+
+    let abriu = await clicarPrimeiroVisivel(pagina, seletoresElemento('messageOptions', locale));
+
+    if (!abriu && await clicarPrimeiroVisivel(pagina, seletoresElemento('moreOptions', locale))) {
+        await pagina.locator('[role="menu"]').first().waitFor({ state: 'visible' });
+        abriu = await clicarPrimeiroVisivel(pagina, seletoresElemento('messageOptions', locale));
+    }
+
+    if (!abriu) {
+        throw new Error("Não foi possível abrir as opções de mensagem");
+    }
+
+    const dialogo = pagina.locator('[role="dialog"]').last();
+    await dialogo.waitFor({ state: 'visible', timeout: 15000 });
+
+    if (read) {
+        await dialogo.getByRole('checkbox', { name: padraoRotulos('readReceipt', locale) }).check();
+    }
+    if (delivery) {
+        await dialogo.getByRole('checkbox', { name: padraoRotulos('deliveryReceipt', locale) }).check();
+    }
+
+    const confirmou = await clicarPrimeiroVisivel(pagina, seletoresElemento('confirmDialog', locale));
+    if (!confirmou) {
+        throw new Error("Não foi possível confirmar as opções de mensagem");
+    }
+
+    await dialogo.waitFor({ state: 'hidden' });
+    log(`✅ Confirmações solicitadas: leitura=${read}, entrega=${delivery}`, 'info');
+}
+
+const PADRAO_ERRO_ENVIO = /não (foi possível|pôde ser) enviad|não foi enviad|couldn't be sent|could not be sent|wasn't sent|bloquead|blocked|limite de envio|sending limit/i;
+
+// Após clicar em Enviar: detecta banners de erro e aguarda a composição fechar
+async function aguardarConclusaoEnvio(pagina, locale, log) {
+    const limite = Date.now() + CONFIG.composeCloseTimeoutMs;
+
+    while (Date.now() < limite) {
+        const erro = await pagina.evaluate((padrao) => {
+            const regex = new RegExp(padrao, 'i');
+            const banners = document.querySelectorAll('[role="alert"], .ms-MessageBar--error, [class*="MessageBar"]');
+            for (const banner of banners) {
+                const texto = (banner.innerText || '').trim();
+                if (banner.offsetParent !== null && regex.test(texto)) return texto;
+            }
+            return null;
+        }, PADRAO_ERRO_ENVIO.source).catch(() => null);
+
+        if (erro) {
+            throw sendError('send_rejected', erro);
+        }
+
+        const composicaoAberta = await pagina.locator(seletoresElemento('to', locale).join(', ')).first()
+            .isVisible().catch(() => false);
+        if (!composicaoAberta) {
+            log("✅ Janela de composição fechada após envio", 'info');
+            return;
+        }
+
+        await delay(250);
+    }
+
+    throw sendError('send_not_completed');
+}
+
+// Procura a mensagem enviada em Itens Enviados; retorna status da verificação.
+// Consulta o OWA (horários em UTC) em vez da lista exibida, que usa o fuso da caixa
+async function verificarItensEnviados(pagina, { subject, to, enviadoApos }, log) {
+    const limite = Date.now() + CONFIG.sentVerifyTimeoutMs;
+    const esperados = to.map(endereco => endereco.toLowerCase());
+    let parcial = null;
+    let ultimoErro = null;
+
+    while (Date.now() < limite) {
+        try {
+            // Tolerância de 1 minuto para diferença de relógio com o servidor
+            const { messages } = await listarMensagens(pagina, {
+                folder: 'sentitems',
+                subject,
+                since: new Date(enviadoApos - 60000).toISOString(),
+                campoData: 'DateTimeSent',
+                offset: 0,
+                limit: 5
+            });
+
+            for (const candidata of messages) {
+                const mensagem = await obterMensagem(pagina, candidata.id, 'text');
+                const destinatarios = [...mensagem.to, ...mensagem.cc].map(d => (d.address || '').toLowerCase());
+                const encontrado = {
+                    conversationId: mensagem.conversationId,
+                    itemId: mensagem.id,
+                    sentAt: mensagem.sentAt,
+                    recipientsMatched: esperados.every(endereco => destinatarios.includes(endereco)),
+                    timeMatched: true
+                };
+
+                if (encontrado.recipientsMatched) {
+                    log(`✅ Mensagem confirmada em Itens Enviados (${encontrado.conversationId})`, 'info');
+                    return { status: 'confirmed', ...encontrado };
                 }
+                parcial = parcial || encontrado;
             }
+        } catch (error) {
+            // Mensagem já saiu: falha na consulta só deixa o envio sem verificação
+            ultimoErro = error;
+            log(`⚠️ Consulta a Itens Enviados falhou: ${error.message}`, 'warn');
+        }
+
+        await delay(3000);
+    }
+
+    log("⚠️ Mensagem não confirmada em Itens Enviados", 'warn');
+    return {
+        status: 'unverified',
+        reason: parcial
+            ? "Assunto encontrado em Itens Enviados, mas destinatários não conferem"
+            : ultimoErro
+                ? `Itens Enviados indisponível: ${ultimoErro.message}`
+                : "Mensagem não encontrada em Itens Enviados",
+        ...(parcial || {})
+    };
+}
+
+// Define o endereço de resposta pelas opções da mensagem
+async function definirResponderPara(pagina, replyTo, locale, log) {
+    await abrirAbaOpcoes(pagina, locale);
+
+    const abriu = await clicarPrimeiroVisivel(pagina, seletoresElemento('setReplyTo', locale));
+    if (!abriu) {
+        throw new Error("Não foi possível abrir a opção 'Responder para'");
+    }
+
+    const dialogo = pagina.locator('[role="dialog"]').last();
+    await dialogo.waitFor({ state: 'visible' });
+
+    const campo = dialogo.locator('input[type="text"], [contenteditable="true"]').first();
+    await campo.click();
+    await campo.fill(replyTo.join("; "));
+
+    const confirmou = await clicarPrimeiroVisivel(pagina, seletoresElemento('confirmDialog', locale));
+    if (!confirmou) {
+        throw new Error("Não foi possível confirmar o endereço de resposta");
+    }
+
+    await dialogo.waitFor({ state: 'hidden' });
+    log(`✅ Responder para: ${replyTo.join(", ")}`, 'info');
+}
+
+// Envia os arquivos pelo controle de anexo da janela de composição
+async function anexarArquivos(pagina, attachments, locale, log) {
+    const arquivos = attachments.map(att => ({
+        name: att.filename,
+        mimeType: att.contentType,
+        buffer: Buffer.from(att.content, 'base64')
+    }));
+
+    // Input de arquivo já presente no DOM da composição
+    const inputArquivo = pagina.locator('input[type="file"]');
+    if (await inputArquivo.count() > 0) {
+        await inputArquivo.first().setInputFiles(arquivos);
+        log("📎 Arquivos enviados pelo input de anexo", 'info');
+    } else {
+        // Abre o seletor de arquivo pelo botão "Anexar"
+        const botaoAnexar = pagina.locator(seletoresElemento('attach', locale).join(', ')).first();
+        const fileChooserPromise = pagina.waitForEvent('filechooser', { timeout: 30000 });
+        await botaoAnexar.click();
+
+        // Alguns layouts abrem um menu antes do seletor de arquivo
+        const opcaoComputador = pagina.locator(seletoresElemento('browseComputer', locale).join(', '));
+        if (await opcaoComputador.count() > 0) {
+            await opcaoComputador.first().click();
+        }
+
+        const fileChooser = await fileChooserPromise;
+        await fileChooser.setFiles(arquivos);
+        log("📎 Arquivos enviados pelo seletor de arquivo", 'info');
+    }
+
+    // Confirma cada anexo na área de anexos da composição
+    const resultado = [];
+    for (const att of attachments) {
+        let attached = false;
+        const nomeSeletor = att.filename.replace(/["\\]/g, '\\$&');
+        try {
+            await pagina.locator(`[title*="${nomeSeletor}"], [aria-label*="${nomeSeletor}"]`)
+                .or(pagina.getByText(att.filename, { exact: false }))
+                .first()
+                .waitFor({ state: 'visible', timeout: 60000 });
+            attached = true;
+            log(`✅ Anexo confirmado: ${att.filename}`, 'info');
+        } catch {
+            log(`⚠️ Anexo não confirmado na composição: ${att.filename}`, 'warn');
+        }
+        resultado.push({
+            filename: att.filename,
+            contentType: att.contentType,
+            size: base64Size(att.content),
+            attached
+        });
+    }
+
+    return resultado;
+}
+
+const DISPOSICOES_ENVIO = ['SendOnly', 'SendAndSaveCopy'];
+
+// Ação e MessageDisposition de uma chamada do OWA; o JSON vai no corpo ou, nas versões
+// novas, URL-encoded no cabeçalho x-owa-urlpostdata
+function chamadaOwa(resposta) {
+    const requisicao = resposta.request();
+    if (requisicao.method() !== 'POST') return null;
+
+    let corpo = requisicao.postData() || '';
+    const cabecalho = requisicao.headers()['x-owa-urlpostdata'];
+    if (!corpo && cabecalho) {
+        try {
+            corpo = decodeURIComponent(cabecalho);
+        } catch {
+            corpo = '';
+        }
+    }
+
+    return {
+        acao: (resposta.url().match(/[?&]action=(\w+)/i) || [])[1] || '',
+        disposicao: (corpo.match(/"MessageDisposition"\s*:\s*"(\w+)"/) || [])[1] || null
+    };
+}
+
+// SendItem, ou CreateItem com disposição de envio (o autosave do rascunho também é CreateItem, com SaveOnly)
+function ehChamadaEnvio(resposta) {
+    const chamada = chamadaOwa(resposta);
+    if (!chamada) return false;
+    return /^SendItem$/i.test(chamada.acao)
+        || (/^CreateItem$/i.test(chamada.acao) && DISPOSICOES_ENVIO.includes(chamada.disposicao));
+}
+
+// Salva a composição em Rascunhos (Ctrl+S) e aguarda a gravação no servidor
+async function salvarRascunho(pagina, log) {
+    const respostaSalvar = pagina.waitForResponse(
+        resposta => {
+            const chamada = chamadaOwa(resposta);
+            return Boolean(chamada) && /^(CreateItem|UpdateItem)$/i.test(chamada.acao)
+                && !DISPOSICOES_ENVIO.includes(chamada.disposicao);
+        },
+        { timeout: CONFIG.stepTimeoutsMs.confirm }
+    ).catch(() => null);
+
+    await pagina.keyboard.press('Control+s');
+    const resposta = await respostaSalvar;
+
+    if (!resposta) {
+        log("⚠️ Gravação do rascunho não observada, Outlook deve salvá-lo automaticamente", 'warn');
+        return { status: 'unconfirmed' };
+    }
+    if (!resposta.ok()) {
+        throw sendError('send_rejected', `HTTP ${resposta.status()} ao salvar rascunho`);
+    }
+
+    // ItemId do rascunho quando presente na resposta do OWA
+    const itemId = await resposta.json()
+        .then(dados => JSON.stringify(dados).match(/"ItemId":\{[^}]*"Id":"([^"]+)"/))
+        .then(match => match ? match[1] : undefined)
+        .catch(() => undefined);
+
+    log("💾 Rascunho salvo", 'info');
+    return { status: 'saved', itemId };
+}
+
+// Captura a janela de composição e o HTML do corpo como o editor o renderizou
+async function capturarPreVisualizacao(pagina, locale, log) {
+    const composicao = pagina.locator('[role="main"]').first();
+    const imagem = await composicao.count() > 0
+        ? await composicao.screenshot({ type: 'png' })
+        : await pagina.screenshot({ type: 'png' });
+
+    let bodyHtml = null;
+    for (const seletor of seletoresElemento('body', locale)) {
+        const editor = pagina.locator(seletor).first();
+        if (await editor.count() > 0) {
+            bodyHtml = await editor.evaluate(el => el.innerHTML);
+            break;
+        }
+    }
+    if (bodyHtml === null) {
+        log("⚠️ Editor do corpo não encontrado para leitura", 'warn');
+    }
+
+    return { screenshot: imagem.toString('base64'), contentType: 'image/png', bodyHtml };
+}
+
+// Descarta a composição sem deixar rascunho (pré-visualização)
+async function descartarComposicao(pagina, locale, log) {
+    if (!await clicarPrimeiroVisivel(pagina, seletoresElemento('discard', locale))) {
+        throw new Error("Botão 'Descartar' não encontrado");
+    }
+
+    // Confirmação pode não aparecer em composições não salvas
+    const dialogo = pagina.locator('[role="dialog"], [role="alertdialog"]');
+    for (const seletor of seletoresElemento('confirmDiscard', locale)) {
+        const botao = dialogo.locator(seletor).first();
+        if (await botao.count() > 0 && await botao.isVisible()) {
+            await botao.click();
+            break;
+        }
+    }
+
+    await aguardarDomEstavel(pagina, '[role="main"]');
+    log("🗑️ Composição descartada", 'info');
+}
+
+// Abre a composição de nova mensagem pelo botão principal do split button
+async function abrirNovaMensagem(pagina, locale, log) {
+    log("📝 Procurando botão 'Novo email'...", 'info');
+
+    const seletoresNovoEmail = seletoresElemento('newMessage', locale);
+
+    // Aguarda qualquer candidato aparecer em vez de esperas fixas por seletor
+    try {
+        await pagina.locator(seletoresNovoEmail.join(', ')).first().waitFor({ state: 'visible' });
+    } catch {
+        log("⚠️ Nenhum candidato a 'Novo email' visível, tentando seletores individualmente", 'warn');
+    }
+
+    let botaoClicado = false;
+
+    for (const seletor of seletoresNovoEmail) {
+        if (botaoClicado) break;
+
+        try {
+            const botoes = pagina.locator(seletor);
+            const quantidade = await botoes.count();
+            log(`🔍 Seletor ${seletor}: ${quantidade} elementos`, 'debug');
+
+            const indiceMax = Math.min(quantidade, 5);
+            for (let i = 0; i < indiceMax; i++) {
+                try {
+                    const botao = botoes.nth(i);
+
+                    // Parte principal do split button (a seta abre menu)
+                    const isPrimary = await botao.evaluate(el =>
+                        !el.getAttribute('aria-haspopup') || el.classList.contains('splitPrimaryButton'));
+
+                    if (!isPrimary || !(await botao.isVisible())) {
+                        continue;
+                    }
+
+                    // Click com retry
+                    await retryOperation(async () => {
+                        await botao.click({ timeout: 20000, force: true });
+                    }, 3, 2000);
+
+                    botaoClicado = true;
+                    log(`🎯 newMessage [${locale}]: ${seletor} (elemento ${i + 1})`, 'debug');
+                    log("✅ Clicou no botão 'Novo email'", 'info');
+                    break;
+                } catch (error) {
+                    log(`⚠️ Erro no elemento ${i + 1}: ${error.message}`, 'warn');
+                    continue;
+                }
+            }
+        } catch (error) {
+            log(`❌ Erro com seletor ${seletor}: ${error.message}`, 'warn');
+            continue;
+        }
+    }
+
+    // JavaScript fallback aprimorado
+    if (!botaoClicado) {
+        log("🔧 Tentativa JavaScript específica...", 'info');
+        botaoClicado = await pagina.evaluate((searchTerms) => {
+            for (const term of searchTerms) {
+                // Busca por aria-label
+                const botaoPorLabel = document.querySelector(`button[aria-label*="${term}"]`);
+                if (botaoPorLabel && botaoPorLabel.offsetParent !== null) {
+                    botaoPorLabel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    botaoPorLabel.focus();
+                    botaoPorLabel.click();
+                    return true;
+                }
+
+                // Busca por texto
+                const elementos = document.querySelectorAll('button, [role="button"]');
+                for (let el of elementos) {
+                    if (el.textContent && el.textContent.includes(term) && 
+                        el.offsetParent !== null) {
+                        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                        el.focus();
+                        el.click();
+                        return true;
+                    }
+                }
+            }
+            return false;
+        }, rotulosElemento('newMessage', locale));
+
+        if (botaoClicado) {
+            log("✅ Clicou usando JavaScript específico!", 'info');
+        }
+    }
+
+    if (!botaoClicado) {
+        throw new Error("❌ Não foi possível clicar no botão 'Novo email' após todas as tentativas");
+    }
+}
+
+// Abre a mensagem original e clica em Responder/Responder a todos/Encaminhar
+async function abrirAcaoConversa(pagina, itemId, acao, locale, log) {
+    // URLs do OWA usam o id no formato REST (base64 URL-safe) em vez do id EWS
+    const idRest = itemId.replace(/\//g, '-').replace(/\+/g, '_');
+    const urlMensagem = new URL(`mail/deeplink/read/${encodeURIComponent(idRest)}`, CONFIG.outlookUrl).href;
+
+    log(`📨 Abrindo mensagem original para ${acao}...`, 'info');
+    await pagina.goto(urlMensagem, { waitUntil: 'domcontentloaded', timeout: CONFIG.navigationTimeout });
+
+    const { locator: botao, seletor } = await localizarElemento(pagina, acao, locale, log);
+    await retryOperation(async () => {
+        await botao.click({ timeout: 20000 });
+    }, 3, 2000);
+    log(`✅ Clicou em ${acao} (${seletor})`, 'info');
+}
+
+// ==================== ARTIFACTS ====================
+
+const ARQUIVOS_ARTEFATO = {
+    'screenshot.png': 'image/png',
+    'page.html': 'text/html; charset=utf-8',
+    'trace.zip': 'application/zip'
+};
+
+// Campos de credenciais/MFA do login da Microsoft
+const SELETOR_CAMPOS_SENSIVEIS = 'input[type="password"], input[name="passwd"], input[name="otc"], input[autocomplete="one-time-code"]';
+
+const ID_ARTEFATO_REGEX = /^[\w-]+$/;
+
+function diretorioArtefatos(requestId) {
+    return path.join(CONFIG.artifactsDir, requestId);
+}
+
+function mascararSegredos(texto, segredos) {
+    for (const segredo of segredos) {
+        if (segredo) texto = texto.split(segredo).join('***');
+    }
+    return texto;
+}
+
+// Remove valores de campos sensíveis e qualquer ocorrência literal dos segredos
+async function capturarHtmlMascarado(pagina, segredos) {
+    const html = await pagina.evaluate((seletor) => {
+        const copia = document.documentElement.cloneNode(true);
+        copia.querySelectorAll(seletor).forEach(campo => campo.setAttribute('value', '***'));
+        copia.querySelectorAll('script').forEach(script => script.remove());
+        return '<!DOCTYPE html>\n' + copia.outerHTML;
+    }, SELETOR_CAMPOS_SENSIVEIS);
+
+    return mascararSegredos(html, segredos);
+}
+
+async function capturarArtefatos(pagina, contexto, { requestId, owner, step, error, segredos, trace }, log) {
+    const diretorio = diretorioArtefatos(requestId);
+    await mkdir(diretorio, { recursive: true });
+
+    const arquivos = [];
+
+    if (pagina && !pagina.isClosed()) {
+        try {
+            await pagina.screenshot({
+                path: path.join(diretorio, 'screenshot.png'),
+                fullPage: true,
+                mask: [pagina.locator(SELETOR_CAMPOS_SENSIVEIS)],
+                timeout: 10000
+            });
+            arquivos.push('screenshot.png');
+        } catch (erro) {
+            log(`⚠️ Falha ao capturar screenshot: ${erro.message}`, 'warn');
+        }
+
+        try {
+            await writeFile(path.join(diretorio, 'page.html'), await capturarHtmlMascarado(pagina, segredos));
+            arquivos.push('page.html');
+        } catch (erro) {
+            log(`⚠️ Falha ao capturar HTML: ${erro.message}`, 'warn');
+        }
+    }
+
+    if (trace && contexto) {
+        try {
+            await contexto.tracing.stop({ path: path.join(diretorio, 'trace.zip') });
+            arquivos.push('trace.zip');
+        } catch (erro) {
+            log(`⚠️ Falha ao salvar trace: ${erro.message}`, 'warn');
+        }
+    }
+
+    const meta = {
+        requestId,
+        owner,
+        step,
+        error: error ? { code: error.code || 'falha_envio', message: mascararSegredos(error.message, segredos) } : undefined,
+        url: pagina && !pagina.isClosed() ? pagina.url() : undefined,
+        files: arquivos,
+        capturedAt: new Date().toISOString()
+    };
+    await writeFile(path.join(diretorio, 'meta.json'), JSON.stringify(meta, null, 2));
+
+    log(`🧷 Artefatos salvos: ${arquivos.join(', ') || 'nenhum'}`, 'info');
+    podarArtefatos().catch(erro => logger.warn({ error: erro.message }, "Falha na limpeza de artefatos"));
+
+    return { url: `/artifacts/${requestId}`, files: arquivos };
+}
+
+async function carregarMetaArtefatos(requestId) {
+    if (!ID_ARTEFATO_REGEX.test(requestId)) return null;
+    try {
+        return JSON.parse(await readFile(path.join(diretorioArtefatos(requestId), 'meta.json'), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Retenção: remove capturas expiradas e mantém no máximo artifactsMax
+async function podarArtefatos() {
+    let entradas;
+    try {
+        entradas = await readdir(CONFIG.artifactsDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+
+    const capturas = [];
+    for (const entrada of entradas) {
+        if (!entrada.isDirectory()) continue;
+        const diretorio = path.join(CONFIG.artifactsDir, entrada.name);
+        capturas.push({ diretorio, mtimeMs: (await stat(diretorio)).mtimeMs });
+    }
+    capturas.sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+    const limite = Date.now() - CONFIG.artifactsTtlMs;
+    const remover = capturas.filter((captura, indice) => indice >= CONFIG.artifactsMax || captura.mtimeMs < limite);
+    for (const { diretorio } of remover) {
+        await rm(diretorio, { recursive: true, force: true });
+    }
+    if (remover.length > 0) {
+        logger.info({ removed: remover.length }, "Artefatos expirados removidos");
+    }
+}
+
+setInterval(() => {
+    podarArtefatos().catch(error => logger.warn({ error: error.message }, "Falha na limpeza de artefatos"));
+}, 600000).unref();
+
+// ==================== MAIN FUNCTION (CHROMIUM OPTIMIZED) ====================
+
+async function enviarEmail({
+    email, password, totpSecret, mfaCode, to, cc, bcc, replyTo, from, subject, body, attachments = [],
+    locale: localeSolicitado, debug = false, priority = 'normal', requestReadReceipt = false, requestDeliveryReceipt = false, onStep,
+    mode = 'send', bodyFormat, conversation,
+    requestId = gerarRequestId(), apiKey
+}) {
+    const logs = [];
+    const startTime = Date.now();
+
+    const timings = {};
+    let etapaAtual = null;
+    let inicioEtapa = startTime;
+
+    // Registra a duração da etapa anterior, aplica o timeout da nova e avisa o job
+    function setStep(step) {
+        const agora = Date.now();
+        if (etapaAtual) {
+            timings[etapaAtual] = (timings[etapaAtual] || 0) + (agora - inicioEtapa);
+        }
+        etapaAtual = step;
+        inicioEtapa = agora;
+
+        if (pagina && CONFIG.stepTimeoutsMs[step]) {
+            pagina.setDefaultTimeout(CONFIG.stepTimeoutsMs[step]);
+        }
+        if (step && onStep) onStep(step);
+    }
+
+    function log(message, level = 'info') {
+        const timestamp = new Date().toISOString();
+        const logMessage = `[${timestamp}] ${message}`;
+        console.log(logMessage);
+        if (debug) logs.push(logMessage);
+        logger[level](message);
+    }
+
+    let pagina = null;
+    let contexto = null;
+    let tracing = false;
+    let unlock = null;
+    let descartarSessao = false;
+    let sessionReused = false;
+    let anexos = [];
+    let importance = 'normal';
+    let locale = localeSolicitado || CONFIG.defaultLocale;
+    let mensagemOriginal = null;
+
+    if (onStep) onStep('waiting');
+    const liberarSlot = await adquirirSlotEnvio(requestId, log);
+
+    enviosEmAndamento++;
+    try {
+        setStep('launch');
+        log("🚀 Obtendo sessão do navegador Chromium...", 'info');
+        log(`Platform: ${process.platform}, Node: ${process.version}`, 'info');
+        logMemoryUsage("Início");
+
+        // Uma operação por conta por vez na mesma sessão
+        unlock = await lockAccount(email);
+
+        const { session, reused, idleMs } = await acquireSession(email, password, log);
+        sessionReused = reused;
+        pagina = session.page;
+        contexto = session.context;
+
+        setStep('login');
+        log("🔐 Verificando sessão no Outlook...", 'info');
+        logMemoryUsage("Antes do login");
+
+        const precisouLogin = await ensureLoggedIn(pagina, { email, password, totpSecret, mfaCode }, log, {
+            recente: reused && idleMs < CONFIG.sessionRecheckMs
+        });
+        if (!precisouLogin) {
+            log("♻️ Sessão ainda válida, login não necessário", 'info');
+        }
+
+        log("✅ Login realizado com sucesso!", 'info');
+        logMemoryUsage("Após login");
+
+        // Idioma da interface define os rótulos usados nos seletores
+        locale = localeSolicitado || await detectarLocale(pagina);
+        log(`🌐 Idioma da interface: ${locale}${localeSolicitado ? ' (informado)' : ' (detectado)'}`, 'debug');
+
+        // Trace só depois do login para não registrar credenciais digitadas
+        if (CONFIG.artifactsTrace || debug) {
+            try {
+                await contexto.tracing.start({ screenshots: true, snapshots: true });
+                tracing = true;
+            } catch (error) {
+                log(`⚠️ Não foi possível iniciar o trace: ${error.message}`, 'warn');
+            }
+        }
+
+        // PROCURA E CLICA NO BOTÃO NOVO EMAIL (ou Responder/Encaminhar na mensagem original)
+        setStep('compose');
+        if (conversation) {
+            mensagemOriginal = await localizarMensagemOriginal(pagina, conversation, log);
+            await abrirAcaoConversa(pagina, mensagemOriginal.id, conversation.action, locale, log);
+        } else {
+            await abrirNovaMensagem(pagina, locale, log);
+        }
+
+        // Aguarda janela de composição com timeout maior
+        log("⏳ Aguardando janela de composição...", 'info');
+        await localizarElemento(pagina, 'to', locale, log);
+        await aguardarDomEstavel(pagina, '[role="main"]');
+
+        log("✅ Janela de composição aberta!", 'info');
+        logMemoryUsage("Janela de composição");
+
+        // PREENCHE OS CAMPOS (esperas baseadas no estado da página)
+        setStep('fill');
+
+        // REMETENTE (caixa compartilhada / alias)
+        if (from) {
+            log(`👤 Selecionando remetente ${from}...`, 'info');
+            await selecionarRemetente(pagina, from, locale, log);
+        }
+
+        // Em respostas o Outlook já preenche os destinatários; aqui só entram os adicionais
+        if (to && to.length > 0) {
+            log("📧 Preenchendo destinatários...", 'info');
+            await preencherDestinatarios(pagina, locale, { campo: 'to' }, to, log);
+        }
+
+        // CC se houver
+        if (cc && cc.length > 0) {
+            log("📋 Preenchendo cópia...", 'info');
+            try {
+                // Tenta mostrar campo CC se não visível
+                await preencherDestinatarios(pagina, locale, { campo: 'cc', mostrar: 'showCc' }, cc, log);
+            } catch (error) {
+                log(`⚠️ Erro ao preencher CC: ${error.message}`, 'warn');
+            }
+        }
+
+        // CCO: falha aborta o envio para não perder destinatários ocultos
+        if (bcc && bcc.length > 0) {
+            log("🙈 Preenchendo cópia oculta...", 'info');
+            try {
+                await preencherDestinatarios(pagina, locale, { campo: 'bcc', mostrar: 'showBcc' }, bcc, log);
+            } catch (error) {
+                throw new Error(`Não foi possível preencher CCO: ${error.message}`);
+            }
+        }
+
+        // ASSUNTO (respostas mantêm o "RE:"/"ENC:" do Outlook se nenhum for informado)
+        if (subject) {
+            log("📌 Preenchendo assunto...", 'info');
+            const { locator: campoAssunto } = await localizarElemento(pagina, 'subject', locale, log);
+            await campoAssunto.click();
+            await campoAssunto.fill(subject);
+        }
+
+        // CORPO
+        const corpo = renderizarCorpo({ body, bodyFormat, attachments });
+        if (body) {
+            log(`✍️ Preenchendo corpo da mensagem (${corpo.format})...`, 'info');
+            const htmlEditor = incorporarImagensInline(corpo.html, attachments);
+            const seletoresCorpo = [...seletoresElemento('body', locale), '.rps_1fb8 [role="textbox"]'];
+
+            let corpoPreenchido = false;
+            for (const seletor of seletoresCorpo) {
+                try {
+                    const editor = pagina.locator(seletor).first();
+                    if (await editor.count() > 0) {
+                        log(`🎯 body [${locale}]: ${seletor}`, 'debug');
+                        await editor.click();
+
+                        // HTML já sanitizado (texto simples chega escapado, com <br> nas quebras);
+                        // em respostas o texto entra acima do conteúdo citado
+                        if (mensagemOriginal) {
+                            await editor.evaluate((el, html) => {
+                                el.insertAdjacentHTML('afterbegin', html);
+                            }, htmlEditor);
+                        } else {
+                            // Limpa conteúdo existente
+                            await pagina.keyboard.press('Control+a');
+                            await editor.evaluate((el, html) => {
+                                el.innerHTML = html;
+                            }, htmlEditor);
+                        }
+
+                        await aguardarDomEstavel(pagina, seletor);
+                        corpoPreenchido = true;
+                        break;
+                    }
+                } catch (error) {
+                    log(`Tentativa de preencher corpo com ${seletor} falhou: ${error.message}`, 'warn');
+                    continue;
+                }
+            }
+
+            if (!corpoPreenchido) {
+                log("⚠️ Não foi possível preencher o corpo da mensagem", 'warn');
+            }
+        }
+
+        // ANEXOS (imagens inline já foram incorporadas ao corpo)
+        const arquivos = attachments.filter(att => !corpo.inlineIds.has(att.contentId));
+        if (arquivos.length > 0) {
+            setStep('attach');
+            log(`📎 Anexando ${arquivos.length} arquivo(s)...`, 'info');
+            anexos = await anexarArquivos(pagina, arquivos, locale, log);
+        }
+
+        // RESPONDER PARA
+        if (replyTo && replyTo.length > 0) {
+            log("↩️ Definindo endereço de resposta...", 'info');
+            await definirResponderPara(pagina, replyTo, locale, log);
+        }
+
+        // IMPORTÂNCIA: prioridade diferente de normal precisa ser aplicada
+        if (priority !== 'normal') {
+            log(`❗ Definindo importância ${priority}...`, 'info');
+            importance = await definirImportancia(pagina, priority, locale, log);
+        }
+
+        // CONFIRMAÇÕES DE LEITURA/ENTREGA
+        if (requestReadReceipt || requestDeliveryReceipt) {
+            log("📬 Solicitando confirmações...", 'info');
+            await solicitarConfirmacoes(pagina, { read: requestReadReceipt, delivery: requestDeliveryReceipt }, locale, log);
+        }
+
+        // RASCUNHO / PRÉ-VISUALIZAÇÃO: fluxo completo de composição, sem clicar em Enviar
+        if (mode !== 'send') {
+            await aguardarDomEstavel(pagina, '[role="main"]', { quietMs: 500 });
+
+            let draft;
+            let preview;
+            if (mode === 'draft') {
+                setStep('draft');
+                log("💾 Salvando em Rascunhos...", 'info');
+                draft = await salvarRascunho(pagina, log);
+            } else {
+                setStep('preview');
+                log("👁️ Capturando pré-visualização...", 'info');
+                preview = await capturarPreVisualizacao(pagina, locale, log);
+                try {
+                    await descartarComposicao(pagina, locale, log);
+                } catch (error) {
+                    // Sessão é recriada para não deixar a composição aberta
+                    log(`⚠️ Não foi possível descartar a composição: ${error.message}`, 'warn');
+                    descartarSessao = true;
+                }
+            }
+            setStep(null);
+
+            const processingTime = Date.now() - startTime;
+            registrarEnvioMetricas({ outcome: mode, processingTime, timings });
+            log(`✅ ${mode === 'draft' ? 'Rascunho salvo' : 'Pré-visualização gerada'} em ${Math.round(processingTime / 1000)}s`, 'info');
+
+            return {
+                success: true,
+                mode,
+                verified: false,
+                draft,
+                preview,
+                conversation: conversation && { action: conversation.action, originalMessage: mensagemOriginal },
+                to,
+                cc,
+                bcc,
+                replyTo,
+                from,
+                subject,
+                importance,
+                locale,
+                receipts: { read: requestReadReceipt, delivery: requestDeliveryReceipt },
+                processingTimeMs: processingTime,
+                timings,
+                attachments: anexos.length > 0 ? anexos : undefined,
+                logs: debug ? logs : undefined,
+                browser: 'chromium',
+                sessionReused
+            };
+        }
+
+        setStep('send');
+        log("📤 Enviando email...", 'info');
+        logMemoryUsage("Antes de enviar");
+
+        // ENVIO com mais tentativas
+        const seletoresEnviar = seletoresElemento('send', locale);
+
+        let emailEnviado = false;
+        const envioIniciadoEm = Date.now();
+
+        // Composição estável antes de enviar (anexos/pílulas já processados)
+        await aguardarDomEstavel(pagina, '[role="main"]', { quietMs: 500 });
+
+        // Requisição de envio do OWA, usada para confirmar o resultado no servidor
+        const respostaEnvio = pagina.waitForResponse(ehChamadaEnvio, { timeout: CONFIG.stepTimeoutsMs.confirm })
+            .catch(() => null);
+
+        await retryOperation(async () => {
+            for (const seletor of seletoresEnviar) {
+                try {
+                    const botaoEnviar = pagina.locator(seletor);
+                    const count = await botaoEnviar.count();
+                    
+                    if (count > 0) {
+                        const botao = botaoEnviar.first();
+                        await botao.scrollIntoViewIfNeeded();
+                        await botao.click();
+                        emailEnviado = true;
+                        log(`🎯 send [${locale}]: ${seletor}`, 'debug');
+                        log("✅ Clicou em Enviar", 'info');
+                        break;
+                    }
+                } catch (error) {
+                    continue;
+                }
+            }
+
+            // JavaScript fallback para enviar
+            if (!emailEnviado) {
+                log("🔧 Tentativa JavaScript para enviar...", 'info');
+                const botaoEncontrado = await pagina.evaluate((searchTerms) => {
+                    for (const term of searchTerms) {
+                        // Procura por aria-label
+                        const botaoPorLabel = document.querySelector(`button[aria-label*="${term}"]`);
+                        if (botaoPorLabel && botaoPorLabel.offsetParent !== null) {
+                            botaoPorLabel.click();
+                            return true;
+                        }
+
+                        // Procura por texto
+                        const elementos = document.querySelectorAll('button, [role="button"]');
+                        for (let el of elementos) {
+                            if (el.textContent && el.textContent.trim() === term && 
+                                el.offsetParent !== null) {
+                                el.click();
+                                return true;
+                            }
+                        }
+                    }
+                    return false;
+                }, rotulosElemento('send', locale));
+
+                if (botaoEncontrado) {
+                    emailEnviado = true;
+                    log("✅ Email enviado usando busca JavaScript!", 'info');
+                }
+            }
+
+            if (!emailEnviado) {
+                throw new Error("❌ Não foi possível encontrar o botão de enviar");
+            }
+        }, 3, 3000);
+
+        // Confirma que a composição fechou sem banner de erro
+        setStep('confirm');
+        await aguardarConclusaoEnvio(pagina, locale, log);
+
+        const resposta = await respostaEnvio;
+        if (resposta && !resposta.ok()) {
+            throw sendError('send_rejected', `HTTP ${resposta.status()} na requisição de envio`);
+        }
+        logMemoryUsage("Email enviado");
+
+        // Verifica em Itens Enviados
+        setStep('verify');
+        // Respostas: prefixo "RE:" varia com o idioma, então casa pelo assunto original
+        const verification = await verificarItensEnviados(pagina, {
+            subject: subject || mensagemOriginal.subject || '',
+            to: to && to.length > 0 ? to : [mensagemOriginal.from && mensagemOriginal.from.address].filter(Boolean),
+            enviadoApos: envioIniciadoEm
+        }, log);
+        log(verification.status === 'confirmed'
+            ? "✅ Email enviado com sucesso!"
+            : "⚠️ Email enviado, mas não confirmado em Itens Enviados", 'info');
+
+        setStep(null);
+
+        // Em modo debug os artefatos também são gerados em caso de sucesso
+        let artifacts;
+        if (debug) {
+            artifacts = await capturarArtefatos(pagina, contexto, {
+                requestId, owner: apiKey, step: 'done', segredos: [password, totpSecret, mfaCode], trace: tracing
+            }, log);
+            tracing = false;
+        }
+
+        // RESUMO
+        const processingTime = Date.now() - startTime;
+        registrarEnvioMetricas({
+            outcome: verification.status === 'confirmed' ? 'success' : 'unverified',
+            processingTime,
+            timings
+        });
+        log("📊 RESUMO DO ENVIO:", 'info');
+        if (mensagemOriginal) log(`↪️ ${conversation.action}: ${mensagemOriginal.subject} (${mensagemOriginal.id.substring(0, 12)}...)`, 'info');
+        if (to && to.length > 0) log(`📧 Para: ${to.join(", ")}`, 'info');
+        if (cc && cc.length > 0) log(`📋 CC: ${cc.join(", ")}`, 'info');
+        if (bcc && bcc.length > 0) log(`🙈 CCO: ${bcc.length} destinatário(s)`, 'info');
+        if (from) log(`👤 De: ${from}`, 'info');
+        if (subject) log(`📌 Assunto: ${subject}`, 'info');
+        log(`❗ Importância: ${importance}`, 'info');
+        log(`📝 Corpo: ${body.length} caracteres`, 'info');
+        if (anexos.length > 0) log(`📎 Anexos: ${anexos.filter(a => a.attached).length}/${anexos.length} confirmados`, 'info');
+        log(`🕒 Tempo de processamento: ${Math.round(processingTime / 1000)}s`, 'info');
+        log(`⏱️ Tempos por etapa: ${Object.entries(timings).map(([etapa, ms]) => `${etapa}=${ms}ms`).join(', ')}`, 'info');
+        log(`⏰ Enviado em: ${new Date().toLocaleString('pt-BR')}`, 'info');
+
+        return {
+            success: true,
+            mode,
+            verified: verification.status === 'confirmed',
+            verification,
+            conversation: conversation && { action: conversation.action, originalMessage: mensagemOriginal },
+            to,
+            cc,
+            bcc,
+            replyTo,
+            from,
+            subject,
+            importance,
+            locale,
+            receipts: { read: requestReadReceipt, delivery: requestDeliveryReceipt },
+            sentAt: new Date().toISOString(),
+            processingTimeMs: processingTime,
+            timings,
+            attachments: anexos.length > 0 ? anexos : undefined,
+            logs: debug ? logs : undefined,
+            artifactsUrl: artifacts ? artifacts.url : undefined,
+            memoryUsage: process.memoryUsage(),
+            browser: 'chromium',
+            sessionReused
+        };
+
+    } catch (error) {
+        const etapaFalha = etapaAtual;
+        setStep(null);
+        const processingTime = Date.now() - startTime;
+        descartarSessao = true;
+        registrarEnvioMetricas({ outcome: 'failure', code: error.code || 'falha_envio', processingTime, timings });
+        log(`❌ Erro: ${error.message}`, 'error');
+        
+        // Log detalhado para debug
+        logger.error({
+            message: error.message,
+            stack: error.stack,
+            platform: process.platform,
+            nodeVersion: process.version,
+            memory: process.memoryUsage(),
+            step: etapaFalha,
+            timings,
+            processingTime
+        }, "Erro detalhado no envio");
+
+        let artifacts = null;
+        try {
+            artifacts = await capturarArtefatos(pagina, contexto, {
+                requestId, owner: apiKey, step: etapaFalha, error, segredos: [password, totpSecret, mfaCode], trace: tracing
+            }, log);
+            tracing = false;
+        } catch (captureError) {
+            log(`⚠️ Falha ao salvar artefatos: ${captureError.message}`, 'warn');
+        }
+
+        const erroFinal = error instanceof EmailApiError
+            ? error
+            : new Error(`Falha no envio do email: ${error.message}`);
+        if (artifacts) erroFinal.artifactsUrl = artifacts.url;
+        // Depois do clique em Enviar a mensagem pode ter saído: não tentar outro transporte
+        erroFinal.envioIncerto = ['send', 'confirm', 'verify'].includes(etapaFalha);
+        throw erroFinal;
+    } finally {
+        enviosEmAndamento--;
+
+        // Trace não salvo é descartado para não bloquear o próximo envio da sessão
+        if (tracing) {
+            await contexto.tracing.stop().catch(() => {});
+        }
+
+        // Sessão fica aberta para reuso; descarta apenas se ficou em estado inválido
+        try {
+            if (descartarSessao && sessions.has(email)) {
+                await closeSession(email, { saveState: false });
+                log("🔒 Sessão descartada após erro", 'info');
+            } else if (sessions.has(email)) {
+                releaseSession(email);
+                log("📄 Sessão liberada para reuso", 'info');
+            }
+        } catch (closeError) {
+            log(`⚠️ Erro ao liberar sessão: ${closeError.message}`, 'warn');
+        } finally {
+            if (unlock) unlock();
+            liberarSlot();
+        }
+
+        // Force garbage collection se disponível
+        if (global.gc) {
+            global.gc();
+            log("🗑️ Garbage collection executado", 'info');
+        }
+
+        logMemoryUsage("Após cleanup");
+    }
+}
+
+// ==================== TRANSPORTS ====================
+
+function enderecoGraph(endereco) {
+    return { emailAddress: { address: endereco } };
+}
+
+function resumoAnexos(attachments) {
+    return attachments.length > 0
+        ? attachments.map(att => ({ filename: att.filename, contentType: att.contentType, size: base64Size(att.content), attached: true }))
+        : undefined;
+}
+
+// SMTP AUTH (STARTTLS + AUTH LOGIN) com a senha da conta
+async function enviarViaSmtp({
+    email, password, to, cc, bcc, replyTo, from, subject, body, bodyFormat, attachments = [],
+    priority = 'normal', requestReadReceipt = false, requestDeliveryReceipt = false
+}) {
+    const startTime = Date.now();
+    const remetente = from || email;
+    const corpo = renderizarCorpo({ body, bodyFormat, attachments });
+
+    const transporter = nodemailer.createTransport({
+        host: CONFIG.smtpHost,
+        port: CONFIG.smtpPort,
+        secure: CONFIG.smtpPort === 465,
+        requireTLS: CONFIG.smtpRequireTls,
+        auth: { user: email, pass: password },
+        authMethod: 'LOGIN',
+        connectionTimeout: CONFIG.smtpTimeoutMs,
+        greetingTimeout: CONFIG.smtpTimeoutMs,
+        socketTimeout: CONFIG.smtpTimeoutMs
+    });
+
+    try {
+        logger.info({ host: CONFIG.smtpHost, port: CONFIG.smtpPort, to }, "📨 Enviando via SMTP");
+        const info = await transporter.sendMail({
+            from: remetente,
+            sender: from ? email : undefined,
+            to, cc, bcc, replyTo, subject,
+            text: corpo.text,
+            html: corpo.format === 'text' ? undefined : corpo.html,
+            priority,
+            headers: requestReadReceipt ? { 'Disposition-Notification-To': remetente } : undefined,
+            dsn: requestDeliveryReceipt ? { id: randomUUID(), return: 'headers', notify: ['success', 'failure'], recipient: remetente } : undefined,
+            attachments: attachments.map(att => ({
+                filename: att.filename,
+                contentType: att.contentType,
+                content: att.content,
+                encoding: 'base64',
+                cid: corpo.inlineIds.has(att.contentId) ? att.contentId : undefined
+            }))
+        });
+
+        const processingTime = Date.now() - startTime;
+        registrarEnvioMetricas({ transport: 'smtp', outcome: 'success', processingTime, timings: { send: processingTime } });
+
+        return {
+            success: true,
+            verified: true,
+            verification: { status: 'accepted', messageId: info.messageId, response: info.response, rejected: info.rejected },
+            to, cc, bcc, replyTo, from, subject,
+            importance: priority,
+            receipts: { read: requestReadReceipt, delivery: requestDeliveryReceipt },
+            sentAt: new Date().toISOString(),
+            processingTimeMs: processingTime,
+            timings: { send: processingTime },
+            attachments: resumoAnexos(attachments)
+        };
+    } catch (error) {
+        let erro;
+        if (error.code === 'EAUTH') {
+            erro = transportError('smtp_auth_failed', error.response || error.message);
+        } else if (error.code === 'EENVELOPE' || error.responseCode >= 500) {
+            erro = transportError('smtp_rejected', error.response || error.message);
+        } else {
+            erro = transportError('smtp_unavailable', error.message);
+        }
+        // Conexão perdida durante o DATA: o servidor pode ter aceitado a mensagem
+        erro.envioIncerto = error.command === 'DATA' && !error.responseCode;
+
+        registrarEnvioMetricas({ transport: 'smtp', outcome: 'failure', code: erro.code, processingTime: Date.now() - startTime, timings: {} });
+        throw erro;
+    } finally {
+        transporter.close();
+    }
+}
+
+// Token de aplicativo (client credentials) reaproveitado até perto de expirar
+let tokenGraphCache = null;
+
+async function obterTokenGraph() {
+    if (tokenGraphCache && tokenGraphCache.expiresAt - 60000 > Date.now()) {
+        return tokenGraphCache.token;
+    }
+
+    let resposta;
+    try {
+        resposta = await fetch(`${CONFIG.graphAuthorityUrl}/${CONFIG.graphTenantId}/oauth2/v2.0/token`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: CONFIG.graphClientId,
+                client_secret: CONFIG.graphClientSecret,
+                scope: 'https://graph.microsoft.com/.default',
+                grant_type: 'client_credentials'
+            }),
+            signal: AbortSignal.timeout(CONFIG.graphTimeoutMs)
+        });
+    } catch (error) {
+        throw transportError('graph_unavailable', error.message);
+    }
+
+    const dados = await resposta.json().catch(() => ({}));
+    if (!resposta.ok) {
+        throw transportError(resposta.status >= 500 ? 'graph_unavailable' : 'graph_auth_failed',
+            dados.error_description || `HTTP ${resposta.status}`);
+    }
+
+    tokenGraphCache = { token: dados.access_token, expiresAt: Date.now() + dados.expires_in * 1000 };
+    return tokenGraphCache.token;
+}
+
+// Microsoft Graph sendMail: token do cliente (/me) ou do aplicativo (/users/{email})
+async function enviarViaGraph({
+    email, accessToken, to, cc, bcc, replyTo, from, subject, body, bodyFormat, attachments = [],
+    priority = 'normal', requestReadReceipt = false, requestDeliveryReceipt = false
+}) {
+    const startTime = Date.now();
+    const corpo = renderizarCorpo({ body, bodyFormat, attachments });
+
+    const mensagem = {
+        subject,
+        body: corpo.format === 'text' ? { contentType: 'Text', content: corpo.text } : { contentType: 'HTML', content: corpo.html },
+        toRecipients: to.map(enderecoGraph),
+        ccRecipients: (cc || []).map(enderecoGraph),
+        bccRecipients: (bcc || []).map(enderecoGraph),
+        replyTo: (replyTo || []).map(enderecoGraph),
+        from: from ? enderecoGraph(from) : undefined,
+        importance: priority,
+        isReadReceiptRequested: requestReadReceipt,
+        isDeliveryReceiptRequested: requestDeliveryReceipt,
+        attachments: attachments.map(att => ({
+            '@odata.type': '#microsoft.graph.fileAttachment',
+            name: att.filename,
+            contentType: att.contentType,
+            contentBytes: att.content.replace(/[\r\n]/g, ''),
+            isInline: corpo.inlineIds.has(att.contentId),
+            contentId: corpo.inlineIds.has(att.contentId) ? att.contentId : undefined
+        }))
+    };
+
+    const caixa = accessToken ? 'me' : `users/${encodeURIComponent(email)}`;
+
+    try {
+        const token = accessToken || await obterTokenGraph();
+
+        logger.info({ mailbox: accessToken ? 'me' : email, to }, "📨 Enviando via Microsoft Graph");
+        let resposta;
+        try {
+            resposta = await fetch(`${CONFIG.graphBaseUrl}/${caixa}/sendMail`, {
+                method: 'POST',
+                headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+                body: JSON.stringify({ message: mensagem, saveToSentItems: true }),
+                signal: AbortSignal.timeout(CONFIG.graphTimeoutMs)
+            });
+        } catch (error) {
+            const erro = transportError('graph_unavailable', error.message);
+            // Timeout com a requisição já enviada: a mensagem pode ter saído
+            erro.envioIncerto = error.name === 'TimeoutError';
+            throw erro;
+        }
+
+        if (!resposta.ok) {
+            const detalhe = await resposta.json().then(dados => dados.error && dados.error.message).catch(() => null);
+            const codigo = [401, 403].includes(resposta.status) ? 'graph_auth_failed'
+                : resposta.status === 429 || resposta.status >= 500 ? 'graph_unavailable'
+                    : 'graph_rejected';
+            throw transportError(codigo, detalhe || `HTTP ${resposta.status}`);
+        }
+    } catch (error) {
+        registrarEnvioMetricas({ transport: 'graph', outcome: 'failure', code: error.code, processingTime: Date.now() - startTime, timings: {} });
+        throw error;
+    }
+
+    const processingTime = Date.now() - startTime;
+    registrarEnvioMetricas({ transport: 'graph', outcome: 'success', processingTime, timings: { send: processingTime } });
+
+    return {
+        success: true,
+        verified: true,
+        verification: { status: 'accepted' },
+        to, cc, bcc, replyTo, from, subject,
+        importance: priority,
+        receipts: { read: requestReadReceipt, delivery: requestDeliveryReceipt },
+        sentAt: new Date().toISOString(),
+        processingTimeMs: processingTime,
+        timings: { send: processingTime },
+        attachments: resumoAnexos(attachments)
+    };
+}
+
+// Cada transporte informa se atende a requisição (motivo quando não atende)
+const TRANSPORTES = {
+    browser: {
+        indisponivel: dados => dados.password ? null : "requer password",
+        enviar: dados => enviarEmail(dados)
+    },
+    smtp: {
+        indisponivel: dados => dados.conversation ? `não suporta ${dados.conversation.action}`
+            : dados.mode && dados.mode !== 'send' ? `não suporta mode ${dados.mode}`
+            : dados.password ? null : "requer password",
+        enviar: enviarViaSmtp
+    },
+    graph: {
+        indisponivel: dados => dados.conversation ? `não suporta ${dados.conversation.action}`
+            : dados.mode && dados.mode !== 'send' ? `não suporta mode ${dados.mode}`
+            : dados.accessToken || (CONFIG.graphTenantId && CONFIG.graphClientId && CONFIG.graphClientSecret)
+            ? null
+            : "requer accessToken ou GRAPH_TENANT_ID/GRAPH_CLIENT_ID/GRAPH_CLIENT_SECRET",
+        enviar: enviarViaGraph
+    }
+};
+
+const NOMES_TRANSPORTE = { browser: 'Chromium', smtp: 'SMTP', graph: 'Microsoft Graph' };
+
+function ordemTransportes(dados) {
+    return dados.transport || CONFIG.transports;
+}
+
+// Valida antes de enfileirar: ao menos um transporte precisa atender a requisição
+function verificarTransportes(dados) {
+    const motivos = ordemTransportes(dados).map(nome => {
+        const transporte = TRANSPORTES[nome];
+        return transporte ? transporte.indisponivel(dados) && `${nome}: ${transporte.indisponivel(dados)}` : `${nome}: desconhecido`;
+    });
+    if (motivos.every(Boolean)) {
+        throw transportError('transport_unavailable', motivos.join('; '));
+    }
+}
+
+// Tenta os transportes na ordem; só passa ao próximo se a mensagem certamente não saiu
+async function enviarComTransportes(dados) {
+    const tentativas = [];
+    let ultimoErro = null;
+
+    for (const nome of ordemTransportes(dados)) {
+        const transporte = TRANSPORTES[nome];
+        const motivo = transporte ? transporte.indisponivel(dados) : "desconhecido";
+        if (motivo) {
+            tentativas.push({ transport: nome, skipped: motivo });
+            continue;
+        }
+
+        try {
+            const result = await transporte.enviar(dados);
+            tentativas.push({ transport: nome, success: true });
+            return { mode: 'send', ...result, template: dados.template, transport: nome, transportAttempts: tentativas };
+        } catch (error) {
+            tentativas.push({ transport: nome, error: error.code || "falha_envio", message: error.message });
+            ultimoErro = error;
+
+            if (error.envioIncerto) {
+                logger.warn({ transport: nome }, "Envio possivelmente concluído; fallback interrompido para evitar duplicidade");
+                break;
+            }
+            logger.warn({ transport: nome, error: error.message }, "Transporte falhou, tentando o próximo");
+        }
+    }
+
+    const erro = ultimoErro || transportError('transport_unavailable',
+        tentativas.map(t => `${t.transport}: ${t.skipped}`).join('; '));
+    erro.transportAttempts = tentativas;
+    throw erro;
+}
+
+// ==================== MAILBOX (LEITURA) ====================
+
+// Pastas padrão do Exchange aceitas diretamente em ?folder=
+const PASTAS_PADRAO = {
+    inbox: 'inbox',
+    sentitems: 'sentitems',
+    sent: 'sentitems',
+    drafts: 'drafts',
+    deleteditems: 'deleteditems',
+    junkemail: 'junkemail',
+    archive: 'archivemsgfolderroot'
+};
+
+function propriedade(campo) {
+    return { __type: 'PropertyUri:#Exchange', FieldURI: campo };
+}
+
+function constante(valor) {
+    return { __type: 'FieldURIOrConstantType:#Exchange', Item: { __type: 'Constant:#Exchange', Value: valor } };
+}
+
+function contem(item, valor) {
+    return {
+        __type: 'Contains:#Exchange',
+        ContainmentMode: 'Substring',
+        ContainmentComparison: 'IgnoreCase',
+        Item: item,
+        Constant: { __type: 'ConstantValueType:#Exchange', Value: valor }
+    };
+}
+
+const CABECALHO_OWA = {
+    __type: 'JsonRequestHeaders:#Exchange',
+    RequestServerVersion: 'Exchange2013',
+    TimeZoneContext: {
+        __type: 'TimeZoneContext:#Exchange',
+        TimeZoneDefinition: { __type: 'TimeZoneDefinitionType:#Exchange', Id: 'UTC' }
+    }
+};
+
+// Chama o service.svc do OWA de dentro da página logada (cookies + canary da sessão)
+async function chamarServicoOwa(pagina, acao, corpo) {
+    const { status, dados } = await pagina.evaluate(async ({ acao, corpo }) => {
+        const canary = (document.cookie.match(/(?:^|;\s*)X-OWA-CANARY=([^;]+)/i) || [])[1] || '';
+        const resposta = await fetch(`/owa/service.svc?action=${acao}&app=Mail`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+                action: acao,
+                'content-type': 'application/json; charset=utf-8',
+                'x-owa-canary': canary,
+                'x-requested-with': 'XMLHttpRequest'
+            },
+            body: JSON.stringify(corpo)
+        });
+        return { status: resposta.status, dados: await resposta.json().catch(() => null) };
+    }, { acao, corpo: { ...corpo, Header: CABECALHO_OWA } });
+
+    const mensagem = dados && dados.Body && dados.Body.ResponseMessages && dados.Body.ResponseMessages.Items[0];
+    if (status !== 200 || !mensagem) {
+        throw new EmailApiError('caixa_indisponivel', `Outlook respondeu HTTP ${status} em ${acao}`, { status: 502, retryable: true });
+    }
+    if (mensagem.ResponseClass === 'Error') {
+        if (['ErrorItemNotFound', 'ErrorInvalidIdMalformed', 'ErrorInvalidIdNotAnItemAttachmentId'].includes(mensagem.ResponseCode)) {
+            throw new EmailApiError('mensagem_nao_encontrada', mensagem.MessageText || mensagem.ResponseCode, { status: 404 });
+        }
+        throw new EmailApiError('caixa_indisponivel', mensagem.MessageText || mensagem.ResponseCode, { status: 502 });
+    }
+    return mensagem;
+}
+
+// Pasta padrão pelo nome distinto; demais pastas pelo nome exibido
+async function resolverPasta(pagina, pasta) {
+    const distinta = PASTAS_PADRAO[pasta.toLowerCase()];
+    if (distinta) {
+        return { __type: 'DistinguishedFolderId:#Exchange', Id: distinta };
+    }
+
+    const resposta = await chamarServicoOwa(pagina, 'FindFolder', {
+        __type: 'FindFolderJsonRequest:#Exchange',
+        Body: {
+            __type: 'FindFolderRequest:#Exchange',
+            FolderShape: { __type: 'FolderResponseShape:#Exchange', BaseShape: 'IdOnly' },
+            ParentFolderIds: [{ __type: 'DistinguishedFolderId:#Exchange', Id: 'msgfolderroot' }],
+            Traversal: 'Deep',
+            Restriction: {
+                __type: 'RestrictionType:#Exchange',
+                Item: { __type: 'IsEqualTo:#Exchange', Item: propriedade('DisplayName'), FieldURIOrConstant: constante(pasta) }
+            }
+        }
+    });
+
+    const encontrada = resposta.RootFolder && resposta.RootFolder.Folders && resposta.RootFolder.Folders[0];
+    if (!encontrada) {
+        throw new EmailApiError('pasta_nao_encontrada', `Pasta ${pasta} não encontrada`, { status: 404 });
+    }
+    return { __type: 'FolderId:#Exchange', Id: encontrada.FolderId.Id };
+}
+
+// campoData: DateTimeReceived (listagem) ou DateTimeSent (verificação de Itens Enviados)
+function filtrosMensagens({ from, subject, unread, since, until, campoData = 'DateTimeReceived' }) {
+    const condicoes = [];
+    if (from) {
+        // Remetente por endereço (PR_SENDER_EMAIL_ADDRESS) ou nome (PR_SENDER_NAME)
+        condicoes.push({
+            __type: 'Or:#Exchange',
+            Items: [
+                contem({ __type: 'ExtendedPropertyUri:#Exchange', PropertyTag: '0x0C1F', PropertyType: 'String' }, from),
+                contem({ __type: 'ExtendedPropertyUri:#Exchange', PropertyTag: '0x0C1A', PropertyType: 'String' }, from)
+            ]
+        });
+    }
+    if (subject) condicoes.push(contem(propriedade('Subject'), subject));
+    if (unread) {
+        condicoes.push({ __type: 'IsEqualTo:#Exchange', Item: propriedade('IsRead'), FieldURIOrConstant: constante('false') });
+    }
+    if (since) {
+        condicoes.push({
+            __type: 'IsGreaterThanOrEqualTo:#Exchange',
+            Item: propriedade(campoData),
+            FieldURIOrConstant: constante(new Date(since).toISOString())
+        });
+    }
+    if (until) {
+        condicoes.push({
+            __type: 'IsLessThanOrEqualTo:#Exchange',
+            Item: propriedade(campoData),
+            FieldURIOrConstant: constante(new Date(until).toISOString())
+        });
+    }
+
+    if (condicoes.length === 0) return undefined;
+    return {
+        __type: 'RestrictionType:#Exchange',
+        Item: condicoes.length === 1 ? condicoes[0] : { __type: 'And:#Exchange', Items: condicoes }
+    };
+}
+
+function serializarRemetente(remetente) {
+    const mailbox = remetente && remetente.Mailbox;
+    return mailbox ? { name: mailbox.Name, address: mailbox.EmailAddress } : null;
+}
+
+// Uma página de resultados: memória limitada a `limit` itens por chamada
+async function listarMensagens(pagina, filtros) {
+    const pasta = await resolverPasta(pagina, filtros.folder);
+
+    const resposta = await chamarServicoOwa(pagina, 'FindItem', {
+        __type: 'FindItemJsonRequest:#Exchange',
+        Body: {
+            __type: 'FindItemRequest:#Exchange',
+            ItemShape: {
+                __type: 'ItemResponseShape:#Exchange',
+                BaseShape: 'IdOnly',
+                AdditionalProperties: ['Subject', 'From', 'DateTimeReceived', 'DateTimeSent', 'Preview', 'IsRead', 'HasAttachments', 'ConversationId']
+                    .map(propriedade)
+            },
+            ParentFolderIds: [pasta],
+            Traversal: 'Shallow',
+            Paging: {
+                __type: 'IndexedPageView:#Exchange',
+                BasePoint: 'Beginning',
+                Offset: filtros.offset,
+                MaxEntriesReturned: filtros.limit
+            },
+            Restriction: filtrosMensagens(filtros),
+            SortOrder: [{ __type: 'SortResults:#Exchange', Order: 'Descending', Path: propriedade(filtros.campoData || 'DateTimeReceived') }]
+        }
+    });
+
+    const raiz = resposta.RootFolder || {};
+    const itens = raiz.Items || [];
+    return {
+        messages: itens.map(item => ({
+            id: item.ItemId.Id,
+            conversationId: item.ConversationId && item.ConversationId.Id,
+            from: serializarRemetente(item.From),
+            subject: item.Subject,
+            receivedAt: item.DateTimeReceived,
+            sentAt: item.DateTimeSent,
+            preview: item.Preview,
+            isRead: item.IsRead,
+            hasAttachments: item.HasAttachments
+        })),
+        total: raiz.TotalItemsInView,
+        offset: filtros.offset,
+        limit: filtros.limit,
+        nextOffset: raiz.IncludesLastItemInRange === false ? filtros.offset + itens.length : null
+    };
+}
+
+async function obterMensagem(pagina, id, formato) {
+    const resposta = await chamarServicoOwa(pagina, 'GetItem', {
+        __type: 'GetItemJsonRequest:#Exchange',
+        Body: {
+            __type: 'GetItemRequest:#Exchange',
+            ItemShape: {
+                __type: 'ItemResponseShape:#Exchange',
+                BaseShape: 'IdOnly',
+                BodyType: formato === 'text' ? 'Text' : 'HTML',
+                AdditionalProperties: [
+                    'Subject', 'Body', 'From', 'ToRecipients', 'CcRecipients', 'DateTimeReceived', 'DateTimeSent',
+                    'IsRead', 'HasAttachments', 'Attachments', 'ConversationId', 'InternetMessageId'
+                ].map(propriedade)
+            },
+            ItemIds: [{ __type: 'ItemId:#Exchange', Id: id }]
+        }
+    });
+
+    const item = resposta.Items && resposta.Items[0];
+    if (!item) {
+        throw new EmailApiError('mensagem_nao_encontrada', `Mensagem ${id} não encontrada`, { status: 404 });
+    }
+
+    const enderecos = lista => (lista || []).map(mailbox => ({ name: mailbox.Name, address: mailbox.EmailAddress }));
+    return {
+        id: item.ItemId.Id,
+        conversationId: item.ConversationId && item.ConversationId.Id,
+        internetMessageId: item.InternetMessageId,
+        from: serializarRemetente(item.From),
+        to: enderecos(item.ToRecipients),
+        cc: enderecos(item.CcRecipients),
+        subject: item.Subject,
+        receivedAt: item.DateTimeReceived,
+        sentAt: item.DateTimeSent,
+        isRead: item.IsRead,
+        body: item.Body && item.Body.Value,
+        bodyFormat: item.Body && item.Body.BodyType === 'Text' ? 'text' : 'html',
+        attachments: (item.Attachments || []).map(anexo => ({
+            id: anexo.AttachmentId && anexo.AttachmentId.Id,
+            name: anexo.Name,
+            contentType: anexo.ContentType,
+            size: anexo.Size,
+            isInline: anexo.IsInline
+        }))
+    };
+}
+
+// Mensagem a responder/encaminhar: pelo id da listagem ou a mais recente que casar com os filtros
+async function localizarMensagemOriginal(pagina, { messageId, match }, log) {
+    let id = messageId;
+    if (!id) {
+        const { messages, total } = await listarMensagens(pagina, { ...match, unread: false, offset: 0, limit: 1 });
+        if (messages.length === 0) {
+            throw new EmailApiError('mensagem_nao_encontrada', "Nenhuma mensagem corresponde aos filtros informados", { status: 404 });
+        }
+        if (total > 1) {
+            log(`⚠️ ${total} mensagens correspondem aos filtros; usando a mais recente`, 'warn');
+        }
+        id = messages[0].id;
+    }
+
+    const { conversationId, internetMessageId, from, subject, receivedAt } = await obterMensagem(pagina, id, 'text');
+    log(`🔎 Mensagem original: ${subject}`, 'info');
+    return { id, conversationId, internetMessageId, from, subject, receivedAt };
+}
+
+// Mesmo ciclo de sessão do envio (vaga, lock por conta, login), sem compor mensagem
+async function comSessaoOutlook({ email, password, totpSecret, mfaCode }, operacao) {
+    const log = (message, level = 'info') => logger[level](message);
+
+    const liberarSlot = await adquirirSlotEnvio(gerarRequestId(), log);
+    const unlock = await lockAccount(email);
+    let descartarSessao = false;
+
+    try {
+        const { session, reused, idleMs } = await acquireSession(email, password, log);
+        session.page.setDefaultTimeout(CONFIG.stepTimeoutsMs.login);
+        await ensureLoggedIn(session.page, { email, password, totpSecret, mfaCode }, log, {
+            recente: reused && idleMs < CONFIG.sessionRecheckMs
+        });
+        return await operacao(session.page);
+    } catch (error) {
+        // Erros da API do OWA não invalidam a sessão; falhas de navegador/login sim
+        descartarSessao = !(error instanceof EmailApiError) || !['mensagem_nao_encontrada', 'pasta_nao_encontrada'].includes(error.code);
+        throw error;
+    } finally {
+        try {
+            if (descartarSessao && sessions.has(email)) {
+                await closeSession(email, { saveState: false });
+            } else if (sessions.has(email)) {
+                releaseSession(email);
+            }
+        } finally {
+            unlock();
+            liberarSlot();
+        }
+    }
+}
+
+// ==================== WEBHOOKS ====================
+
+// Entregas por requestId, consultáveis pela API
+const webhookDeliveries = new Map();
+
+// Assinatura HMAC-SHA256 de "<timestamp>.<corpo>", no estilo dos webhooks de mercado
+function assinarWebhook(timestamp, corpo) {
+    return createHmac('sha256', CONFIG.webhookSecret).update(`${timestamp}.${corpo}`).digest('hex');
+}
+
+function montarEventoWebhook({ requestId, jobId, request, result, error, startedAt }) {
+    const finishedAt = new Date();
+    return {
+        event: error ? 'email.failed' : result.mode === 'send' ? 'email.sent' : `email.${result.mode}`,
+        requestId,
+        jobId,
+        to: request.to,
+        cc: request.cc,
+        subject: request.subject,
+        verified: result ? result.verified : undefined,
+        conversation: result ? result.conversation : undefined,
+        timing: {
+            startedAt: new Date(startedAt).toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            processingTimeMs: finishedAt.getTime() - new Date(startedAt).getTime(),
+            steps: result ? result.timings : undefined
+        },
+        error: error ? { code: error.code || 'falha_envio', message: error.message } : undefined
+    };
+}
+
+const REDES_INTERNAS = new BlockList();
+for (const [rede, prefixo] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+    REDES_INTERNAS.addSubnet(rede, prefixo, 'ipv4');
+}
+for (const [rede, prefixo] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+    REDES_INTERNAS.addSubnet(rede, prefixo, 'ipv6');
+}
+
+function ipInterno(endereco) {
+    const versao = isIP(endereco);
+    return versao !== 0 && REDES_INTERNAS.check(endereco, versao === 4 ? 'ipv4' : 'ipv6');
+}
+
+function hostInterno(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return host === 'localhost' || /\.(localhost|local|internal)$/.test(host) || ipInterno(host);
+}
+
+// callbackUrl vem do cliente: confere também os IPs resolvidos na hora da entrega
+async function verificarDestinoWebhook(url) {
+    const { hostname } = new URL(url);
+    const enderecos = isIP(hostname.replace(/^\[|\]$/g, ''))
+        ? []
+        : await lookup(hostname, { all: true });
+    if (hostInterno(hostname) || enderecos.some(({ address }) => ipInterno(address))) {
+        const erro = new Error(`Destino do webhook resolve para endereço interno (${hostname})`);
+        erro.retryable = false;
+        throw erro;
+    }
+}
+
+async function entregarWebhook(entrega, evento) {
+    const corpo = JSON.stringify(evento);
+
+    await retryOperation(async () => {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'content-type': 'application/json',
+            'x-webhook-id': entrega.id,
+            'x-webhook-timestamp': timestamp,
+            'x-webhook-signature': `sha256=${assinarWebhook(timestamp, corpo)}`
+        };
+
+        const tentativa = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+        entrega.attempts.push(tentativa);
+        const inicio = Date.now();
+
+        try {
+            if (entrega.externa) {
+                await verificarDestinoWebhook(entrega.url);
+            }
+
+            // Redirecionamento não é seguido (poderia levar a um destino interno)
+            const resposta = await fetch(entrega.url, {
+                method: 'POST',
+                headers,
+                body: corpo,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(CONFIG.webhookTimeoutMs)
+            });
+            tentativa.statusCode = resposta.status;
+
+            if (!resposta.ok) {
+                const erro = new Error(`Webhook respondeu HTTP ${resposta.status}`);
+                // 4xx (exceto 408/429) indica erro do receptor; não adianta repetir
+                erro.retryable = resposta.status >= 500 || [408, 429].includes(resposta.status);
+                throw erro;
+            }
+        } catch (error) {
+            tentativa.error = error.message;
+            throw error;
+        } finally {
+            tentativa.durationMs = Date.now() - inicio;
+        }
+    }, CONFIG.webhookMaxRetries, CONFIG.webhookRetryDelayMs,
+    { retries: metricas.webhookRetries, exhausted: metricas.webhookFailures });
+}
+
+// Dispara o webhook em background; falhas ficam registradas na entrega
+function notificarConclusao({ requestId, jobId, apiKey, callbackUrl, request, result, error, startedAt }) {
+    const url = callbackUrl || CONFIG.webhookUrl;
+    if (!url) return;
+
+    // Sem segredo não há como assinar: WEBHOOK_URL global fica sem entrega
+    if (!CONFIG.webhookSecret) {
+        logger.error({ requestId }, "WEBHOOK_SECRET não configurado: webhook não enviado");
+        return;
+    }
+
+    const entrega = {
+        id: randomUUID(),
+        requestId,
+        jobId,
+        apiKey,
+        url,
+        externa: !!callbackUrl,
+        state: 'pending',
+        attempts: [],
+        createdAt: new Date().toISOString(),
+        finishedAt: null
+    };
+    webhookDeliveries.set(requestId, entrega);
+
+    const evento = montarEventoWebhook({ requestId, jobId, request, result, error, startedAt });
+    entregarWebhook(entrega, evento)
+        .then(() => {
+            entrega.state = 'delivered';
+            logger.info({ requestId, deliveryId: entrega.id, attempts: entrega.attempts.length }, "Webhook entregue");
+        })
+        .catch(erro => {
+            entrega.state = 'failed';
+            logger.error({ requestId, deliveryId: entrega.id, error: erro.message }, "Falha ao entregar webhook");
+        })
+        .finally(() => {
+            entrega.finishedAt = new Date().toISOString();
+        });
+}
+
+// Remove entregas finalizadas junto com a retenção dos jobs
+setInterval(() => {
+    const limite = Date.now() - CONFIG.jobTtlMs;
+    for (const [requestId, entrega] of webhookDeliveries) {
+        if (entrega.finishedAt && new Date(entrega.finishedAt).getTime() < limite) {
+            webhookDeliveries.delete(requestId);
+        }
+    }
+}, 60000).unref();
+
+// ==================== JOBS (ASYNC MODE) ====================
+
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+
+function createJob(requestId, apiKey, { accountId, to, cc, bcc, replyTo, from, subject, priority, mode, transport, callbackUrl, template, conversation, attachments = [] }) {
+    const job = {
+        id: randomUUID(),
+        requestId,
+        apiKey,
+        state: 'queued',
+        step: null,
+        request: {
+            accountId, to, cc, bcc, replyTo, from, subject, priority, mode, transport, callbackUrl, template, conversation,
+            attachments: attachments.map(att => att.filename)
+        },
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+    jobs.set(job.id, job);
+    return job;
+}
+
+// Payload (com senha) fica apenas na fila, nunca no job exposto
+function enqueueJob(job, payload) {
+    jobQueue.push({ job, payload });
+    logger.info({ jobId: job.id, requestId: job.requestId, queued: jobQueue.length }, "Job enfileirado");
+    processJobQueue();
+}
+
+function processJobQueue() {
+    while (runningJobs < CONFIG.jobConcurrency && jobQueue.length > 0) {
+        const { job, payload } = jobQueue.shift();
+        runningJobs++;
+        runJob(job, payload).finally(() => {
+            runningJobs--;
+            processJobQueue();
+        });
+    }
+}
+
+async function runJob(job, payload) {
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    logger.info({ jobId: job.id, requestId: job.requestId }, "Job iniciado");
+
+    try {
+        job.result = await enviarComTransportes({
+            ...payload,
+            requestId: job.requestId,
+            apiKey: job.apiKey,
+            onStep: step => { job.step = step; }
+        });
+        job.state = 'succeeded';
+        job.step = 'done';
+        logger.info({ jobId: job.id, requestId: job.requestId }, "Job concluído com sucesso");
+    } catch (error) {
+        job.state = 'failed';
+        job.error = {
+            error: error.code || "falha_envio",
+            message: error.message,
+            retryable: error.retryable,
+            artifactsUrl: error.artifactsUrl,
+            transportAttempts: error.transportAttempts
+        };
+        logger.error({ jobId: job.id, requestId: job.requestId, error: error.message }, "Job falhou");
+    } finally {
+        job.finishedAt = new Date().toISOString();
+    }
+
+    notificarConclusao({
+        requestId: job.requestId,
+        jobId: job.id,
+        apiKey: job.apiKey,
+        callbackUrl: payload.callbackUrl,
+        request: job.request,
+        result: job.result,
+        error: job.error && { code: job.error.error, message: job.error.message },
+        startedAt: job.startedAt
+    });
+
+    if (job.onFinish) job.onFinish(job);
+}
+
+function serializeJob(job) {
+    return {
+        jobId: job.id,
+        requestId: job.requestId,
+        state: job.state,
+        step: job.step,
+        queuePosition: posicaoNaFila(job.requestId),
+        request: job.request,
+        result: job.result || undefined,
+        error: job.error || undefined,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+// Remove jobs finalizados após o TTL
+setInterval(() => {
+    const limite = Date.now() - CONFIG.jobTtlMs;
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && new Date(job.finishedAt).getTime() < limite) {
+            jobs.delete(id);
+        }
+    }
+}, 60000).unref();
+
+// ==================== SCHEDULER ====================
+
+const agendamentos = new Map();
+
+const ESTADOS_FINAIS_AGENDAMENTO = ['sent', 'failed', 'cancelled', 'expired'];
+
+async function carregarAgendamentos() {
+    try {
+        const lista = JSON.parse(await readFile(CONFIG.scheduleFile, 'utf8'));
+        for (const agendamento of lista) agendamentos.set(agendamento.id, agendamento);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+function salvarAgendamentos() {
+    return gravarJsonAtomico(CONFIG.scheduleFile, () => [...agendamentos.values()], { mode: 0o600 });
+}
+
+// Alteração pedida pelo cliente: desfaz o estado em memória se a gravação falhar
+async function gravarAlteracaoAgendamento(desfazer) {
+    try {
+        await salvarAgendamentos();
+    } catch (error) {
+        desfazer();
+        logger.error({ error: error.message }, "Falha ao gravar agendamentos");
+        throw new EmailApiError('agendamento_nao_gravado', `Falha ao gravar agendamento: ${error.message}`, { status: 500, retryable: true });
+    }
+}
+
+// Gravações do próprio agendador: a próxima gravação persiste o estado atual
+function persistirAgendamentos() {
+    return salvarAgendamentos().catch(error => {
+        logger.error({ error: error.message }, "Falha ao gravar agendamentos");
+    });
+}
+
+function validarHorarioAgendamento(sendAt) {
+    const horario = new Date(sendAt).getTime();
+    const agora = Date.now();
+
+    if (horario < agora - CONFIG.scheduleCatchUpMs) {
+        throw new EmailApiError('agendamento_invalido', `sendAt ${sendAt} está no passado`, { status: 400 });
+    }
+    if (horario > agora + CONFIG.scheduleMaxAheadMs) {
+        throw new EmailApiError('agendamento_invalido',
+            `sendAt além do limite de ${Math.round(CONFIG.scheduleMaxAheadMs / 86400000)} dias`, { status: 400 });
+    }
+    return new Date(horario).toISOString();
+}
+
+// Guarda a requisição original (accountId é resolvido só no disparo)
+async function agendarEnvio(requestId, apiKey, dados) {
+    const agora = new Date().toISOString();
+    const agendamento = {
+        id: randomUUID(),
+        requestId,
+        apiKey,
+        state: 'scheduled',
+        sendAt: validarHorarioAgendamento(dados.sendAt),
+        request: {
+            accountId: dados.accountId,
+            to: dados.to,
+            cc: dados.cc,
+            subject: dados.subject,
+            mode: dados.mode,
+            template: dados.template,
+            attachments: dados.attachments.map(att => att.filename)
+        },
+        payload: cifrar(dados),
+        jobId: null,
+        catchUp: false,
+        result: null,
+        error: null,
+        createdAt: agora,
+        updatedAt: agora,
+        firedAt: null,
+        finishedAt: null
+    };
+
+    agendamentos.set(agendamento.id, agendamento);
+    await gravarAlteracaoAgendamento(() => agendamentos.delete(agendamento.id));
+    logger.info({ scheduleId: agendamento.id, requestId, sendAt: agendamento.sendAt }, "Envio agendado");
+    return agendamento;
+}
+
+function finalizarAgendamento(agendamento, state, { result = null, error = null } = {}) {
+    agendamento.state = state;
+    agendamento.result = result;
+    agendamento.error = error;
+    agendamento.finishedAt = agendamento.updatedAt = new Date().toISOString();
+}
+
+// Dispara pela fila de jobs, que usa o mesmo caminho de envio das demais requisições
+async function dispararAgendamento(agendamento, catchUp) {
+    agendamento.state = 'dispatched';
+    agendamento.catchUp = catchUp;
+    agendamento.firedAt = agendamento.updatedAt = new Date().toISOString();
+
+    try {
+        const dados = await resolverConta(decifrar(agendamento.payload));
+        verificarTransportes(dados);
+
+        const job = createJob(agendamento.requestId, agendamento.apiKey, dados);
+        job.onFinish = ({ state, result, error }) => {
+            finalizarAgendamento(agendamento, state === 'succeeded' ? 'sent' : 'failed', {
+                result: result && {
+                    mode: result.mode,
+                    transport: result.transport,
+                    verified: result.verified,
+                    verification: result.verification,
+                    sentAt: result.sentAt
+                },
+                error
+            });
+            persistirAgendamentos();
+        };
+        agendamento.jobId = job.id;
+        enqueueJob(job, dados);
+
+        logger.info({ scheduleId: agendamento.id, jobId: job.id, catchUp }, "Envio agendado disparado");
+    } catch (error) {
+        finalizarAgendamento(agendamento, 'failed', {
+            error: { error: error.code || "falha_envio", message: error.message, retryable: error.retryable }
+        });
+        logger.error({ scheduleId: agendamento.id, error: error.message }, "Falha ao disparar envio agendado");
+    }
+
+    await persistirAgendamentos();
+}
+
+async function processarAgendamentos() {
+    const agora = Date.now();
+
+    for (const agendamento of agendamentos.values()) {
+        if (agendamento.state !== 'scheduled') continue;
+
+        const atraso = agora - new Date(agendamento.sendAt).getTime();
+        if (atraso < 0) continue;
+
+        // Catch-up: horário passou com o serviço fora do ar (ou além da janela permitida)
+        if (atraso > CONFIG.scheduleCatchUpMs) {
+            finalizarAgendamento(agendamento, 'expired', {
+                error: { error: "agendamento_expirado", message: `Horário perdido há ${Math.round(atraso / 60000)} minutos` }
+            });
+            logger.warn({ scheduleId: agendamento.id, sendAt: agendamento.sendAt }, "Envio agendado expirado");
+            await persistirAgendamentos();
+            continue;
+        }
+
+        await dispararAgendamento(agendamento, atraso > CONFIG.scheduleTickMs * 2);
+    }
+
+    // Retenção dos finalizados
+    const limite = agora - CONFIG.scheduleRetentionMs;
+    let removidos = 0;
+    for (const [id, agendamento] of agendamentos) {
+        if (agendamento.finishedAt && new Date(agendamento.finishedAt).getTime() < limite) {
+            agendamentos.delete(id);
+            removidos++;
+        }
+    }
+    if (removidos > 0) await persistirAgendamentos();
+}
+
+async function iniciarAgendador() {
+    await carregarAgendamentos();
+
+    // Disparo em andamento quando o processo caiu: resultado desconhecido, não reenvia
+    let interrompidos = 0;
+    for (const agendamento of agendamentos.values()) {
+        if (agendamento.state === 'dispatched') {
+            finalizarAgendamento(agendamento, 'failed', {
+                error: { error: "agendamento_interrompido", message: "Serviço reiniciado durante o envio; verifique Itens Enviados", retryable: false }
+            });
+            interrompidos++;
+        }
+    }
+    if (interrompidos > 0) await persistirAgendamentos();
+
+    const pendentes = [...agendamentos.values()].filter(a => a.state === 'scheduled').length;
+    logger.info({ pending: pendentes, interrupted: interrompidos }, "⏰ Agendador iniciado");
+
+    const executar = () => processarAgendamentos()
+        .catch(error => logger.error({ error: error.message }, "Erro ao processar agendamentos"));
+    executar();
+    setInterval(executar, CONFIG.scheduleTickMs).unref();
+}
+
+function serializeAgendamento(agendamento) {
+    return {
+        scheduleId: agendamento.id,
+        requestId: agendamento.requestId,
+        state: agendamento.state,
+        sendAt: agendamento.sendAt,
+        request: agendamento.request,
+        jobId: agendamento.jobId || undefined,
+        catchUp: agendamento.catchUp || undefined,
+        result: agendamento.result || undefined,
+        error: agendamento.error || undefined,
+        createdAt: agendamento.createdAt,
+        updatedAt: agendamento.updatedAt,
+        firedAt: agendamento.firedAt,
+        finishedAt: agendamento.finishedAt
+    };
+}
+
+// ==================== TEMPLATES ====================
+
+let templatesCache = null;
+
+async function carregarTemplates() {
+    if (templatesCache) return templatesCache;
+
+    try {
+        const lista = JSON.parse(await readFile(CONFIG.templatesFile, 'utf8'));
+        templatesCache = templatesCache || new Map(lista.map(template => [template.id, template]));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        templatesCache = templatesCache || new Map();
+    }
+    return templatesCache;
+}
+
+function salvarTemplates() {
+    return gravarJsonAtomico(CONFIG.templatesFile, () => [...templatesCache.values()]);
+}
+
+// Todo placeholder usado no subject/body precisa estar declarado
+function placeholdersNaoDeclarados({ subject, body, variables }) {
+    const usados = [...`${subject}\n${body}`.matchAll(PLACEHOLDER_REGEX)].map(match => match[1]);
+    return [...new Set(usados)].filter(nome => !variables[nome]);
+}
+
+function criarVersao({ subject, body, bodyFormat, variables }, version) {
+    return { version, subject, body, bodyFormat, variables, createdAt: new Date().toISOString() };
+}
+
+async function criarTemplate(dados) {
+    const templates = await carregarTemplates();
+    if ([...templates.values()].some(template => template.name === dados.name)) {
+        throw new EmailApiError('template_duplicado', `Já existe um template chamado ${dados.name}`, { status: 409 });
+    }
+
+    const agora = new Date().toISOString();
+    const template = {
+        id: randomUUID(),
+        name: dados.name,
+        description: dados.description,
+        currentVersion: 1,
+        versions: [criarVersao(dados, 1)],
+        createdAt: agora,
+        updatedAt: agora
+    };
+
+    templates.set(template.id, template);
+    try {
+        await salvarTemplates();
+    } catch (error) {
+        templates.delete(template.id);
+        throw error;
+    }
+    return template;
+}
+
+// Alterações nunca sobrescrevem: cada PUT gera uma nova versão
+async function atualizarTemplate(template, dados) {
+    const templates = await carregarTemplates();
+    if ([...templates.values()].some(outro => outro.id !== template.id && outro.name === dados.name)) {
+        throw new EmailApiError('template_duplicado', `Já existe um template chamado ${dados.name}`, { status: 409 });
+    }
+
+    const atualizado = {
+        ...template,
+        name: dados.name,
+        description: dados.description ?? template.description,
+        currentVersion: template.currentVersion + 1,
+        versions: [...template.versions, criarVersao(dados, template.currentVersion + 1)],
+        updatedAt: new Date().toISOString()
+    };
+
+    templates.set(template.id, atualizado);
+    try {
+        await salvarTemplates();
+    } catch (error) {
+        templates.set(template.id, template);
+        throw error;
+    }
+    return atualizado;
+}
+
+async function removerTemplate(id) {
+    const templates = await carregarTemplates();
+    const template = templates.get(id);
+    if (!template) return false;
+
+    templates.delete(id);
+    try {
+        await salvarTemplates();
+    } catch (error) {
+        templates.set(id, template);
+        throw error;
+    }
+    return true;
+}
+
+function versaoTemplate(template, numero) {
+    return template.versions.find(versao => versao.version === (numero || template.currentVersion));
+}
+
+function serializeTemplate(template, versao = versaoTemplate(template)) {
+    return {
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        currentVersion: template.currentVersion,
+        version: versao.version,
+        subject: versao.subject,
+        body: versao.body,
+        bodyFormat: versao.bodyFormat,
+        variables: versao.variables,
+        versions: template.versions.map(({ version, createdAt }) => ({ version, createdAt })),
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+    };
+}
+
+const TIPOS_VARIAVEL = {
+    string: () => z.string(),
+    number: () => z.number(),
+    boolean: () => z.boolean(),
+    email: () => z.string().email(),
+    date: () => z.string().datetime({ offset: true }).or(z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Data deve estar no formato AAAA-MM-DD"))
+};
+
+// Schema zod gerado a partir das variáveis declaradas na versão
+function schemaVariaveis(variables) {
+    const campos = Object.fromEntries(Object.entries(variables).map(([nome, definicao]) => {
+        let campo = TIPOS_VARIAVEL[definicao.type]();
+        if (definicao.default !== undefined) {
+            campo = campo.default(definicao.default);
+        } else if (!definicao.required) {
+            campo = campo.optional();
+        }
+        return [nome, campo];
+    }));
+    return z.object(campos).strict();
+}
 
-            // JavaScript fallback para enviar
-            if (!emailEnviado) {
-                log("🔧 Tentativa JavaScript para enviar...", 'info');
-                const botaoEncontrado = await pagina.evaluate(() => {
-                    const searchTerms = ['Enviar', 'Send'];
-                    
-                    for (const term of searchTerms) {
-                        // Procura por aria-label
-                        const botaoPorLabel = document.querySelector(`button[aria-label*="${term}"]`);
-                        if (botaoPorLabel && botaoPorLabel.offsetParent !== null) {
-                            botaoPorLabel.click();
-                            return true;
-                        }
+// Troca templateId/variables por subject/body renderizados da versão escolhida
+async function aplicarTemplate(dados) {
+    if (!dados.templateId) return dados;
 
-                        // Procura por texto
-                        const elementos = document.querySelectorAll('button, [role="button"]');
-                        for (let el of elementos) {
-                            if (el.textContent && el.textContent.trim() === term && 
-                                el.offsetParent !== null) {
-                                el.click();
-                                return true;
-                            }
-                        }
-                    }
-                    return false;
-                });
+    const template = (await carregarTemplates()).get(dados.templateId);
+    if (!template) {
+        throw new EmailApiError('template_nao_encontrado', `Template ${dados.templateId} não encontrado`, { status: 404 });
+    }
 
-                if (botaoEncontrado) {
-                    emailEnviado = true;
-                    log("✅ Email enviado usando busca JavaScript!", 'info');
-                }
+    const versao = versaoTemplate(template, dados.templateVersion);
+    if (!versao) {
+        throw new EmailApiError('template_nao_encontrado',
+            `Versão ${dados.templateVersion} do template ${template.name} não encontrada`, { status: 404 });
+    }
+
+    const parseVariaveis = schemaVariaveis(versao.variables).safeParse(dados.variables);
+    if (!parseVariaveis.success) {
+        const erro = new EmailApiError('variaveis_invalidas',
+            `Variáveis inválidas para o template ${template.name} v${versao.version}`, { status: 400 });
+        erro.details = parseVariaveis.error.flatten();
+        throw erro;
+    }
+
+    // Variáveis opcionais não informadas viram texto vazio
+    const variaveis = Object.fromEntries(Object.keys(versao.variables).map(nome => [nome, parseVariaveis.data[nome] ?? '']));
+    const bodyFormat = dados.bodyFormat || versao.bodyFormat;
+
+    return {
+        ...dados,
+        subject: renderizarTemplate(versao.subject, variaveis).texto,
+        body: renderizarTemplate(versao.body, variaveis, { escapar: bodyFormat === 'html' }).texto,
+        bodyFormat,
+        template: { id: template.id, name: template.name, version: versao.version }
+    };
+}
+
+// ==================== BULK (MAIL-MERGE) ====================
+
+const lotes = new Map();
+
+// CSV (RFC 4180): aspas, aspas escapadas, vírgulas e quebras de linha dentro de campos
+function parseCsv(texto) {
+    const linhas = [];
+    let linha = [];
+    let campo = '';
+    let entreAspas = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (entreAspas) {
+            if (c === '"' && texto[i + 1] === '"') {
+                campo += '"';
+                i++;
+            } else if (c === '"') {
+                entreAspas = false;
+            } else {
+                campo += c;
             }
+        } else if (c === '"') {
+            entreAspas = true;
+        } else if (c === ',') {
+            linha.push(campo);
+            campo = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && texto[i + 1] === '\n') i++;
+            linha.push(campo);
+            linhas.push(linha);
+            linha = [];
+            campo = '';
+        } else {
+            campo += c;
+        }
+    }
+    if (campo !== '' || linha.length > 0) {
+        linha.push(campo);
+        linhas.push(linha);
+    }
 
-            if (!emailEnviado) {
-                throw new Error("❌ Não foi possível encontrar o botão de enviar");
+    const [cabecalho, ...registros] = linhas.filter(l => l.some(valor => valor.trim() !== ''));
+    if (!cabecalho) return [];
+
+    const colunas = cabecalho.map(nome => nome.trim());
+    return registros.map(registro => Object.fromEntries(colunas.map((coluna, i) => [coluna, (registro[i] ?? '').trim()])));
+}
+
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Substitui {{variavel}}; variáveis ausentes são listadas para a validação
+function renderizarTemplate(template, variaveis, { escapar = false } = {}) {
+    const ausentes = [];
+    const texto = template.replace(PLACEHOLDER_REGEX, (trecho, nome) => {
+        const valor = variaveis[nome];
+        if (valor === undefined || valor === null) {
+            ausentes.push(nome);
+            return trecho;
+        }
+        const textoValor = Array.isArray(valor) ? valor.join(', ') : String(valor);
+        return escapar ? escaparHtml(textoValor) : textoValor;
+    });
+    return { texto, ausentes };
+}
+
+// Valida todas as linhas antes de enviar qualquer mensagem
+function prepararLote(dados) {
+    const linhas = dados.csv ? parseCsv(dados.csv) : dados.rows;
+    if (linhas.length === 0) {
+        return { erros: [{ row: 0, errors: ["Nenhuma linha de destinatário"] }] };
+    }
+    if (linhas.length > CONFIG.bulkMaxRows) {
+        return { erros: [{ row: 0, errors: [`Máximo de ${CONFIG.bulkMaxRows} linhas por lote`] }] };
+    }
+
+    const formato = formatoCorpo(dados);
+    const { rows, csv, throttleMs, ...base } = dados;
+    const mensagens = [];
+    const erros = [];
+
+    linhas.forEach((linha, indice) => {
+        const numero = indice + 1;
+        const parseLinha = BulkRowSchema.safeParse(linha);
+        if (!parseLinha.success) {
+            const { fieldErrors, formErrors } = parseLinha.error.flatten();
+            erros.push({ row: numero, errors: [...formErrors, ...Object.entries(fieldErrors).map(([campo, msgs]) => `${campo}: ${msgs.join(', ')}`)] });
+            return;
+        }
+
+        const variaveis = parseLinha.data;
+        const assunto = renderizarTemplate(dados.subject, variaveis);
+        const corpo = renderizarTemplate(dados.body, variaveis, { escapar: formato === 'html' });
+        const ausentes = [...new Set([...assunto.ausentes, ...corpo.ausentes])];
+        if (ausentes.length > 0) {
+            erros.push({ row: numero, errors: [`Variáveis ausentes: ${ausentes.join(', ')}`] });
+            return;
+        }
+
+        const parseMensagem = EmailSchema.safeParse({
+            ...base,
+            to: variaveis.to,
+            cc: variaveis.cc,
+            bcc: variaveis.bcc,
+            subject: assunto.texto,
+            body: corpo.texto,
+            bodyFormat: formato
+        });
+        if (!parseMensagem.success) {
+            const { fieldErrors, formErrors } = parseMensagem.error.flatten();
+            erros.push({ row: numero, errors: [...formErrors, ...Object.entries(fieldErrors).map(([campo, msgs]) => `${campo}: ${msgs.join(', ')}`)] });
+            return;
+        }
+
+        mensagens.push(parseMensagem.data);
+    });
+
+    return { mensagens, erros };
+}
+
+function criarLote(requestId, apiKey, mensagens, throttleMs) {
+    const lote = {
+        id: randomUUID(),
+        requestId,
+        apiKey,
+        state: 'queued',
+        throttleMs,
+        rows: mensagens.map((mensagem, indice) => ({
+            row: indice + 1,
+            to: mensagem.to,
+            subject: mensagem.subject,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            sentAt: null,
+            transport: null
+        })),
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+    // Mensagens (com credenciais) ficam só em memória, fora da serialização
+    Object.defineProperty(lote, 'mensagens', { value: mensagens, enumerable: false });
+    lotes.set(lote.id, lote);
+    return lote;
+}
+
+// Erros que invalidam a conta inteira interrompem o lote (retomável depois)
+function erroDeConta(error) {
+    return [401, 403, 423].includes(error.status);
+}
+
+// Envia em sequência; a sessão por conta é reaproveitada entre as linhas (um único login)
+async function executarLote(lote) {
+    lote.state = 'running';
+    lote.startedAt = lote.startedAt || new Date().toISOString();
+    lote.finishedAt = null;
+    logger.info({ batchId: lote.id, rows: lote.rows.length }, "Lote iniciado");
+
+    let primeiro = true;
+    for (const linha of lote.rows) {
+        if (linha.status !== 'pending') continue;
+
+        if (!primeiro && lote.throttleMs > 0) await delay(lote.throttleMs);
+        primeiro = false;
+
+        linha.status = 'sending';
+        linha.attempts++;
+        try {
+            const dados = await resolverConta(lote.mensagens[linha.row - 1]);
+            const result = await enviarComTransportes({
+                ...dados,
+                requestId: `${lote.requestId}-${linha.row}`,
+                apiKey: lote.apiKey
+            });
+            linha.status = 'sent';
+            linha.error = null;
+            linha.sentAt = result.sentAt;
+            linha.transport = result.transport;
+            linha.verified = result.verified;
+        } catch (error) {
+            linha.status = 'failed';
+            linha.error = { error: error.code || "falha_envio", message: error.message, retryable: error.retryable };
+            // Mensagem pode ter saído: retomar não reenvia esta linha
+            linha.uncertain = error.envioIncerto || undefined;
+            logger.warn({ batchId: lote.id, row: linha.row, error: error.message }, "Falha em linha do lote");
+
+            if (erroDeConta(error)) {
+                logger.error({ batchId: lote.id, row: linha.row }, "Erro de conta, lote interrompido");
+                break;
             }
-        }, 3, 3000);
+        }
+    }
 
-        // Aguarda confirmação com mais tempo
-        await delay(12000);
-        log("✅ Email enviado com sucesso!", 'info');
-        logMemoryUsage("Email enviado");
+    const contagem = contarLinhas(lote);
+    lote.state = contagem.sent === lote.rows.length ? 'completed' : contagem.sent > 0 ? 'partial' : 'failed';
+    lote.finishedAt = new Date().toISOString();
+    logger.info({ batchId: lote.id, state: lote.state, ...contagem }, "Lote finalizado");
+}
 
-        // RESUMO
-        const processingTime = Date.now() - startTime;
-        log("📊 RESUMO DO ENVIO:", 'info');
-        log(`📧 Para: ${to.join(", ")}`, 'info');
-        if (cc && cc.length > 0) log(`📋 CC: ${cc.join(", ")}`, 'info');
-        log(`📌 Assunto: ${subject}`, 'info');
-        log(`📝 Corpo: ${body.length} caracteres`, 'info');
-        log(`🕒 Tempo de processamento: ${Math.round(processingTime / 1000)}s`, 'info');
-        log(`⏰ Enviado em: ${new Date().toLocaleString('pt-BR')}`, 'info');
+function contarLinhas(lote) {
+    const contagem = { pending: 0, sent: 0, failed: 0 };
+    for (const linha of lote.rows) {
+        if (linha.status in contagem) contagem[linha.status]++;
+    }
+    return contagem;
+}
+
+// Retomada: falhas (exceto envio incerto) voltam para pendente
+function retomarLote(lote) {
+    let reabertas = 0;
+    for (const linha of lote.rows) {
+        if (linha.status === 'failed' && !linha.uncertain) {
+            linha.status = 'pending';
+            reabertas++;
+        } else if (linha.status === 'pending') {
+            reabertas++;
+        }
+    }
+    return reabertas;
+}
+
+function iniciarLote(lote) {
+    executarLote(lote).catch(error => {
+        lote.state = 'failed';
+        lote.finishedAt = new Date().toISOString();
+        logger.error({ batchId: lote.id, error: error.message }, "Erro inesperado no lote");
+    });
+}
+
+function serializeLote(lote) {
+    return {
+        batchId: lote.id,
+        requestId: lote.requestId,
+        state: lote.state,
+        counts: { total: lote.rows.length, ...contarLinhas(lote) },
+        rows: lote.rows,
+        createdAt: lote.createdAt,
+        startedAt: lote.startedAt,
+        finishedAt: lote.finishedAt
+    };
+}
+
+// Remove lotes finalizados após o TTL dos jobs
+setInterval(() => {
+    const limite = Date.now() - CONFIG.jobTtlMs;
+    for (const [id, lote] of lotes) {
+        if (lote.finishedAt && new Date(lote.finishedAt).getTime() < limite) {
+            lotes.delete(id);
+        }
+    }
+}, 60000).unref();
+
+// ==================== AUTH & RATE LIMIT ====================
+
+const API_SCOPES = ['send', 'jobs', 'read', 'admin'];
+
+const ApiKeySchema = z.object({
+    key: z.string().min(16),
+    name: z.string().min(1),
+    scopes: z.array(z.enum(API_SCOPES)).min(1),
+    rateLimit: z.object({
+        max: z.number().int().positive(),
+        windowMs: z.number().int().positive()
+    }).optional()
+});
+
+function hashApiKey(key) {
+    return createHash('sha256').update(key).digest();
+}
+
+// Rate limit e donos de jobs/lotes/artefatos usam o nome: precisa ser único
+const ApiKeysSchema = z.array(ApiKeySchema).superRefine((lista, ctx) => {
+    const nomes = new Set();
+    lista.forEach((config, indice) => {
+        if (nomes.has(config.name)) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, message: `Nome de API key duplicado: ${config.name}`, path: [indice, 'name'] });
+        }
+        nomes.add(config.name);
+    });
+});
+
+// Chaves indexadas pelo hash; o valor em texto não fica em memória
+function carregarApiKeys() {
+    const fonte = CONFIG.apiKeysFile ? readFileSync(CONFIG.apiKeysFile, 'utf8') : CONFIG.apiKeys;
+    if (!fonte) return new Map();
+
+    const lista = ApiKeysSchema.parse(JSON.parse(fonte));
+    return new Map(lista.map(({ key, ...config }) => [hashApiKey(key).toString('hex'), config]));
+}
+
+const apiKeys = carregarApiKeys();
+
+// Sem chaves configuradas: aberto apenas fora de produção
+const authDisabled = apiKeys.size === 0 && process.env.NODE_ENV !== 'production';
+if (authDisabled) {
+    logger.warn("Nenhuma API key configurada: autenticação desabilitada (apenas fora de produção)");
+}
+
+function extrairApiKey(req) {
+    const header = req.get('x-api-key');
+    if (header) return header;
+
+    const authorization = req.get('authorization') || '';
+    return authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+}
+
+function buscarApiKey(key) {
+    const hash = hashApiKey(key);
+    for (const [hashConfigurado, config] of apiKeys) {
+        if (timingSafeEqual(hash, Buffer.from(hashConfigurado, 'hex'))) {
+            return config;
+        }
+    }
+    return null;
+}
+
+// Janela deslizante: timestamps das requisições aceitas por chave
+const rateLimitHits = new Map();
+
+function verificarRateLimit(nome, { max, windowMs }) {
+    const agora = Date.now();
+    const hits = (rateLimitHits.get(nome) || []).filter(ts => ts > agora - windowMs);
 
+    if (hits.length >= max) {
+        rateLimitHits.set(nome, hits);
+        return { permitido: false, restante: 0, retryAfterMs: hits[0] + windowMs - agora };
+    }
+
+    hits.push(agora);
+    rateLimitHits.set(nome, hits);
+    return { permitido: true, restante: max - hits.length };
+}
+
+// Exige API key com o escopo informado (admin tem acesso a tudo)
+function requireApiKey(scope) {
+    return (req, res, next) => {
+        if (authDisabled) {
+            req.apiKey = { name: 'anonimo', scopes: API_SCOPES };
+            return next();
+        }
+
+        if (apiKeys.size === 0) {
+            return res.status(503).json({
+                error: "auth_nao_configurada",
+                message: "Nenhuma API key configurada no servidor",
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const key = extrairApiKey(req);
+        const config = key ? buscarApiKey(key) : null;
+        if (!config) {
+            return res.status(401).json({
+                error: "nao_autorizado",
+                message: "API key ausente ou inválida (header X-API-Key)",
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!config.scopes.includes(scope) && !config.scopes.includes('admin')) {
+            return res.status(403).json({
+                error: "escopo_insuficiente",
+                message: `API key '${config.name}' não possui o escopo '${scope}'`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const limite = config.rateLimit || { max: CONFIG.rateLimitMax, windowMs: CONFIG.rateLimitWindowMs };
+        const { permitido, restante, retryAfterMs } = verificarRateLimit(config.name, limite);
+        res.set('X-RateLimit-Limit', String(limite.max));
+        res.set('X-RateLimit-Remaining', String(restante));
+
+        if (!permitido) {
+            const retryAfter = Math.ceil(retryAfterMs / 1000);
+            res.set('Retry-After', String(retryAfter));
+            logger.warn({ apiKey: config.name, retryAfter }, "Rate limit excedido");
+            return res.status(429).json({
+                error: "limite_requisicoes",
+                message: `Limite de ${limite.max} requisições a cada ${limite.windowMs / 1000}s excedido`,
+                retryAfterSeconds: retryAfter,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        req.apiKey = config;
+        next();
+    };
+}
+
+// Limpa janelas de chaves sem uso recente
+setInterval(() => {
+    const limite = Date.now() - CONFIG.rateLimitWindowMs * 10;
+    for (const [nome, hits] of rateLimitHits) {
+        if (hits.length === 0 || hits[hits.length - 1] < limite) {
+            rateLimitHits.delete(nome);
+        }
+    }
+}, 60000).unref();
+
+// ==================== ADMISSION CONTROL ====================
+
+// Semáforo de envios: limita navegadores/contextos ativos ao mesmo tempo
+let slotsEmUso = 0;
+const filaEnvios = [];
+
+function adquirirSlotEnvio(requestId, log) {
+    if (slotsEmUso < CONFIG.maxConcurrentSends) {
+        slotsEmUso++;
+        return Promise.resolve(liberarSlotEnvio);
+    }
+
+    log(`⏳ Aguardando vaga para envio (posição ${filaEnvios.length + 1})`, 'info');
+    return new Promise(resolve => {
+        filaEnvios.push({ requestId, resolve });
+    });
+}
+
+function liberarSlotEnvio() {
+    const proximo = filaEnvios.shift();
+    if (proximo) {
+        // Vaga passa direto para o próximo da fila
+        proximo.resolve(liberarSlotEnvio);
+    } else {
+        slotsEmUso--;
+    }
+}
+
+// Posição considera quem já espera vaga e depois a fila de jobs
+function posicaoNaFila(requestId) {
+    const indice = filaEnvios.findIndex(entrada => entrada.requestId === requestId);
+    if (indice >= 0) return indice + 1;
+
+    const indiceJob = jobQueue.findIndex(entrada => entrada.job.requestId === requestId);
+    return indiceJob >= 0 ? filaEnvios.length + indiceJob + 1 : undefined;
+}
+
+function lerCgroup(arquivo) {
+    try {
+        const valor = readFileSync(arquivo, 'utf8').trim();
+        return valor === 'max' ? null : Number(valor);
+    } catch {
+        return null;
+    }
+}
+
+function lerCgroupStat(arquivo, campo) {
+    try {
+        const linha = readFileSync(arquivo, 'utf8').split('\n').find(l => l.startsWith(`${campo} `));
+        return linha ? Number(linha.split(' ')[1]) : 0;
+    } catch {
+        return 0;
+    }
+}
+
+// Memória do contêiner inteiro (Node + processos do Chromium), sem o cache de arquivos inativo que o
+// kernel recupera antes do OOM. Fora de cgroup (v2 ou v1), usa a memória livre do host
+function memoriaContainer() {
+    const toMb = bytes => Math.round(bytes / 1024 / 1024);
+    const total = totalmem();
+
+    const v2 = lerCgroup('/sys/fs/cgroup/memory.current');
+    if (v2 !== null) {
+        const limite = lerCgroup('/sys/fs/cgroup/memory.max');
         return {
-            success: true,
-            to,
-            cc,
-            subject,
-            sentAt: new Date().toISOString(),
-            processingTimeMs: processingTime,
-            logs: debug ? logs : undefined,
-            memoryUsage: process.memoryUsage(),
-            browser: 'chromium'
+            usedMb: toMb(v2 - lerCgroupStat('/sys/fs/cgroup/memory.stat', 'inactive_file')),
+            totalMb: toMb(limite && limite < total ? limite : total)
         };
+    }
 
-    } catch (error) {
-        const processingTime = Date.now() - startTime;
-        log(`❌ Erro: ${error.message}`, 'error');
-        
-        // Log detalhado para debug
-        logger.error({
-            message: error.message,
-            stack: error.stack,
-            platform: process.platform,
-            nodeVersion: process.version,
-            memory: process.memoryUsage(),
-            processingTime
-        }, "Erro detalhado no envio");
+    const v1 = lerCgroup('/sys/fs/cgroup/memory/memory.usage_in_bytes');
+    if (v1 !== null) {
+        // Sem limite, o v1 informa um valor próximo de 2^63
+        const limite = lerCgroup('/sys/fs/cgroup/memory/memory.limit_in_bytes');
+        return {
+            usedMb: toMb(v1 - lerCgroupStat('/sys/fs/cgroup/memory/memory.stat', 'total_inactive_file')),
+            totalMb: toMb(limite && limite < total ? limite : total)
+        };
+    }
 
-        throw new Error(`Falha no envio do email: ${error.message}`);
-    } finally {
-        // Cleanup com mais cuidado
-        try {
-            if (pagina) {
-                await pagina.close();
-                log("📄 Página fechada", 'info');
+    return { usedMb: toMb(total - freemem()), totalMb: toMb(total) };
+}
+
+function estadoAdmissao() {
+    const memoria = memoriaContainer();
+    const memoryLimitMb = CONFIG.memoryLimitMb ?? Math.floor(memoria.totalMb * 0.85);
+    const enfileirados = filaEnvios.length + jobQueue.length;
+
+    let motivo = null;
+    if (memoria.usedMb >= memoryLimitMb) {
+        motivo = 'memoria';
+    } else if (enfileirados >= CONFIG.maxQueuedSends) {
+        motivo = 'fila_cheia';
+    }
+
+    return {
+        saturated: motivo !== null,
+        reason: motivo || undefined,
+        inFlight: slotsEmUso,
+        maxConcurrent: CONFIG.maxConcurrentSends,
+        queued: enfileirados,
+        maxQueued: CONFIG.maxQueuedSends,
+        memoryUsedMb: memoria.usedMb,
+        memoryLimitMb
+    };
+}
+
+// Rejeita cedo (503) em vez de abrir mais um navegador e arriscar OOM
+function admissao(req, res, next) {
+    const estado = estadoAdmissao();
+    if (!estado.saturated) return next();
+
+    metricas.admissionRejections.inc({ reason: estado.reason });
+    logger.warn({ ...estado }, "Requisição rejeitada pelo controle de admissão");
+
+    res.set('Retry-After', String(CONFIG.admissionRetryAfterSec));
+    res.status(503).json({
+        error: "servico_saturado",
+        message: estado.reason === 'memoria'
+            ? `Uso de memória (${estado.memoryUsedMb}MB) acima do limite de ${estado.memoryLimitMb}MB`
+            : `Fila de envios cheia (${estado.queued}/${estado.maxQueued})`,
+        reason: estado.reason,
+        retryable: true,
+        retryAfterSeconds: CONFIG.admissionRetryAfterSec,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// ==================== IDEMPOTENCY ====================
+
+// Store padrão em memória; outro store precisa expor a mesma interface async
+function createMemoryIdempotencyStore() {
+    const registros = new Map();
+
+    setInterval(() => {
+        const agora = Date.now();
+        for (const [chave, registro] of registros) {
+            if (registro.expiresAt < agora) registros.delete(chave);
+        }
+    }, 60000).unref();
+
+    return {
+        async get(chave) {
+            const registro = registros.get(chave);
+            if (registro && registro.expiresAt < Date.now()) {
+                registros.delete(chave);
+                return null;
+            }
+            return registro || null;
+        },
+        // Inclusão atômica: false se a chave já existe
+        async create(chave, registro, ttlMs) {
+            if (await this.get(chave)) return false;
+            registros.set(chave, { ...registro, expiresAt: Date.now() + ttlMs });
+            return true;
+        },
+        async update(chave, registro, ttlMs) {
+            registros.set(chave, { ...registro, expiresAt: Date.now() + ttlMs });
+        },
+        async delete(chave) {
+            registros.delete(chave);
+        }
+    };
+}
+
+let idempotencyStore = createMemoryIdempotencyStore();
+
+function setIdempotencyStore(store) {
+    idempotencyStore = store;
+}
+
+// JSON com chaves ordenadas para comparar payloads equivalentes
+function stableStringify(valor) {
+    if (Array.isArray(valor)) {
+        return `[${valor.map(stableStringify).join(',')}]`;
+    }
+    if (valor && typeof valor === 'object') {
+        return `{${Object.keys(valor).sort().map(k => `${JSON.stringify(k)}:${stableStringify(valor[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(valor);
+}
+
+async function aguardarConclusaoIdempotente(chave) {
+    const limite = Date.now() + CONFIG.idempotencyWaitMs;
+    while (Date.now() < limite) {
+        const registro = await idempotencyStore.get(chave);
+        if (!registro || registro.state === 'completed') return registro;
+        await delay(500);
+    }
+    return undefined;
+}
+
+function responderRegistro(res, registro) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(registro.statusCode).json(registro.response);
+}
+
+// Mesma chave + mesmo payload devolve o resultado salvo; payload diferente é 409
+function idempotency(req, res, next) {
+    const key = req.get('idempotency-key');
+    if (!key) return next();
+
+    (async () => {
+        if (key.length > 255) {
+            return res.status(400).json({
+                error: "idempotency_key_invalida",
+                message: "Idempotency-Key deve ter no máximo 255 caracteres"
+            });
+        }
+
+        const chave = `${req.apiKey ? req.apiKey.name : 'anonimo'}:${key}`;
+        const fingerprint = createHash('sha256').update(stableStringify(req.body)).digest('hex');
+
+        const criado = await idempotencyStore.create(chave, {
+            fingerprint,
+            state: 'in_progress',
+            createdAt: new Date().toISOString()
+        }, CONFIG.idempotencyTtlMs);
+
+        if (!criado) {
+            let registro = await idempotencyStore.get(chave);
+
+            if (registro && registro.fingerprint !== fingerprint) {
+                return res.status(409).json({
+                    error: "idempotency_conflito",
+                    message: "Idempotency-Key já usada com outro payload"
+                });
             }
-            if (contexto) {
-                await contexto.close();
-                log("🔒 Contexto fechado", 'info');
+
+            if (registro && registro.state === 'in_progress') {
+                logger.info({ idempotencyKey: key }, "Aguardando requisição idempotente em andamento");
+                registro = await aguardarConclusaoIdempotente(chave);
+                if (registro === undefined) {
+                    res.set('Retry-After', '30');
+                    return res.status(409).json({
+                        error: "idempotency_em_andamento",
+                        message: "Requisição com esta Idempotency-Key ainda em processamento"
+                    });
+                }
             }
-            if (navegador) {
-                await navegador.close();
-                log("🔒 Navegador fechado", 'info');
+
+            if (registro) {
+                return responderRegistro(res, registro);
             }
-        } catch (closeError) {
-            log(`⚠️ Erro ao fechar recursos: ${closeError.message}`, 'warn');
-        }
 
-        // Force garbage collection se disponível
-        if (global.gc) {
-            global.gc();
-            log("🗑️ Garbage collection executado", 'info');
+            // Registro removido (falha repetível) ou expirado: executa novamente
+            return idempotency(req, res, next);
         }
 
-        logMemoryUsage("Após cleanup");
-    }
+        // Primeira execução: guarda a resposta enviada pelo handler
+        const jsonOriginal = res.json.bind(res);
+        res.json = (corpo) => {
+            const repetivel = corpo && corpo.retryable === true || [429, 503].includes(res.statusCode);
+            const persistencia = repetivel
+                ? idempotencyStore.delete(chave)
+                : idempotencyStore.update(chave, {
+                    fingerprint,
+                    state: 'completed',
+                    statusCode: res.statusCode,
+                    response: corpo,
+                    createdAt: new Date().toISOString()
+                }, CONFIG.idempotencyTtlMs);
+
+            Promise.resolve(persistencia).catch(error => {
+                logger.error({ error: error.message }, "Erro ao salvar resultado idempotente");
+            });
+            return jsonOriginal(corpo);
+        };
+
+        next();
+    })().catch(next);
 }
 
 // ==================== ROUTES ====================
@@ -598,15 +4638,28 @@ app.get("/", (req, res) => {
         endpoints: {
             health: "GET /health",
             ping: "GET /ping",
-            sendEmail: "POST /send-email"
+            sendEmail: "POST /send-email",
+            sendBulk: "POST /send-bulk, GET /send-bulk/:id, POST /send-bulk/:id/resume",
+            jobStatus: "GET /jobs/:id",
+            schedules: "GET /schedules, GET/PATCH/DELETE /schedules/:id",
+            webhookDeliveries: "GET /webhooks/:requestId",
+            artifacts: "GET /artifacts/:requestId",
+            messages: "GET /messages, GET /messages/:id",
+            reply: "POST /reply",
+            forward: "POST /forward",
+            accounts: "POST/GET/DELETE /accounts",
+            templates: "POST/GET /templates, GET/PUT/DELETE /templates/:id",
+            metrics: "GET /metrics (Prometheus), GET /metrics/json"
         }
     });
 });
 
+// Saturado responde 503 para o balanceador desviar tráfego (o health check do Render usa /ping)
 app.get("/health", (req, res) => {
     const usage = process.memoryUsage();
-    res.json({
-        status: "healthy",
+    const admission = estadoAdmissao();
+    res.status(admission.saturated ? 503 : 200).json({
+        status: admission.saturated ? "saturated" : "healthy",
         browser: "chromium",
         timestamp: new Date().toISOString(),
         uptime: Math.round(process.uptime()),
@@ -616,17 +4669,41 @@ app.get("/health", (req, res) => {
             external: Math.round(usage.external / 1024 / 1024) + 'MB',
             rss: Math.round(usage.rss / 1024 / 1024) + 'MB'
         },
+        sessions: {
+            open: sessions.size,
+            max: CONFIG.maxSessions,
+            busy: [...sessions.values()].filter(s => s.busy).length
+        },
+        admission,
         platform: process.platform,
         node: process.version,
         env: process.env.NODE_ENV
     });
 });
 
-app.post("/send-email", async (req, res) => {
-    const requestId = Date.now().toString(36);
+app.post("/send-email", requireApiKey('send'), express.json({ limit: CONFIG.sendEmailBodyLimit }), idempotency, admissao, async (req, res) => {
+    const requestId = gerarRequestId();
     const startTime = Date.now();
 
-    logger.info({ requestId, body: { ...req.body, password: '***' } }, "Nova requisição de email");
+    // Não loga senha, segredos MFA nem conteúdo dos anexos
+    const anexosLog = Array.isArray(req.body.attachments)
+        ? req.body.attachments.map(att => att && att.filename)
+        : undefined;
+    logger.info({
+        requestId,
+        apiKey: req.apiKey.name,
+        body: {
+            ...req.body,
+            password: req.body.password ? '***' : undefined,
+            accessToken: req.body.accessToken ? '***' : undefined,
+            totpSecret: req.body.totpSecret ? '***' : undefined,
+            mfaCode: req.body.mfaCode ? '***' : undefined,
+            attachments: anexosLog
+        }
+    }, "Nova requisição de email");
+
+    // Preenchido quando o envio síncrono começa (webhook só notifica envios iniciados)
+    let notificacao = null;
 
     try {
         const parseResult = EmailSchema.safeParse(req.body);
@@ -639,7 +4716,25 @@ app.post("/send-email", async (req, res) => {
             });
         }
 
-        const { email, password, to, cc, subject, body, debug, priority } = parseResult.data;
+        // Template renderizado primeiro; accountId é trocado pelas credenciais do cofre
+        const comTemplate = await aplicarTemplate(parseResult.data);
+        const dados = await resolverConta(comTemplate);
+        verificarTransportes(dados);
+        const { email, to, subject, priority } = dados;
+        const sync = dados.sync || req.query.sync === 'true';
+
+        // Agendado: persiste a requisição original e responde 202
+        if (dados.sendAt) {
+            const agendamento = await agendarEnvio(requestId, req.apiKey.name, comTemplate);
+            return res.status(202).json({
+                status: "agendado",
+                message: `Email agendado para ${agendamento.sendAt}`,
+                requestId,
+                scheduleId: agendamento.id,
+                sendAt: agendamento.sendAt,
+                statusUrl: `/schedules/${agendamento.id}`
+            });
+        }
 
         logger.info({
             requestId,
@@ -647,26 +4742,53 @@ app.post("/send-email", async (req, res) => {
             to,
             subject,
             priority,
+            sync,
             platform: process.platform,
             browser: 'chromium',
             memory: process.memoryUsage()
         }, "Iniciando envio de email");
 
-        const result = await enviarEmail({
-            email,
-            password,
-            to,
-            cc,
-            subject,
-            body,
-            debug,
-            priority
-        });
+        // Modo assíncrono (padrão): responde 202 e processa em background
+        if (!sync) {
+            const job = createJob(requestId, req.apiKey.name, dados);
+            enqueueJob(job, dados);
+
+            return res.status(202).json({
+                status: "enfileirado",
+                message: "Email enfileirado para envio",
+                requestId,
+                jobId: job.id,
+                queuePosition: posicaoNaFila(requestId),
+                statusUrl: `/jobs/${job.id}`
+            });
+        }
+
+        notificacao = {
+            requestId,
+            apiKey: req.apiKey.name,
+            callbackUrl: dados.callbackUrl,
+            request: { to, cc: dados.cc, subject },
+            startedAt: Date.now()
+        };
+        const result = await enviarComTransportes({ ...dados, requestId, apiKey: req.apiKey.name });
+        notificarConclusao({ ...notificacao, result });
 
         const processingTime = Date.now() - startTime;
-        const response = {
-            status: "sucesso",
-            message: "Email enviado com sucesso via Chromium!",
+        const response = result.mode === 'send' ? {
+            status: result.verified ? "sucesso" : "enviado_nao_verificado",
+            message: result.verified
+                ? `Email enviado com sucesso via ${NOMES_TRANSPORTE[result.transport]}!`
+                : "Email enviado, mas não confirmado em Itens Enviados",
+            requestId,
+            data: {
+                ...result,
+                processingTimeMs: processingTime
+            }
+        } : {
+            status: result.mode === 'draft' ? "rascunho_salvo" : "pre_visualizacao",
+            message: result.mode === 'draft'
+                ? "Email salvo em Rascunhos (não enviado)"
+                : "Pré-visualização gerada; composição descartada (não enviado)",
             requestId,
             data: {
                 ...result,
@@ -681,7 +4803,7 @@ app.post("/send-email", async (req, res) => {
             processingTime,
             browser: 'chromium',
             memoryUsage: result.memoryUsage
-        }, "Email enviado com sucesso");
+        }, result.mode === 'send' ? "Email enviado com sucesso" : `Email processado em modo ${result.mode}`);
 
         res.json(response);
 
@@ -691,16 +4813,25 @@ app.post("/send-email", async (req, res) => {
         logger.error({
             requestId,
             error: error.message,
+            code: error.code,
             stack: error.stack,
             processingTime,
             browser: 'chromium',
             memory: process.memoryUsage()
         }, "Erro no envio");
 
-        res.status(500).json({
-            error: "falha_envio",
+        if (notificacao) {
+            notificarConclusao({ ...notificacao, error });
+        }
+
+        res.status(error.status || 500).json({
+            error: error.code || "falha_envio",
             message: error.message,
+            retryable: error.retryable,
             requestId,
+            artifactsUrl: error.artifactsUrl,
+            transportAttempts: error.transportAttempts,
+            details: error.details,
             browser: "chromium",
             processingTimeMs: processingTime,
             platform: process.platform,
@@ -709,6 +4840,578 @@ app.post("/send-email", async (req, res) => {
     }
 });
 
+app.post("/send-bulk", requireApiKey('send'), express.json({ limit: CONFIG.sendEmailBodyLimit }), idempotency, admissao, async (req, res) => {
+    const requestId = gerarRequestId();
+
+    try {
+        const parseResult = BulkSchema.safeParse(req.body);
+        if (!parseResult.success) {
+            return res.status(400).json({
+                error: "dados_invalidos",
+                message: "Dados do lote inválidos",
+                details: parseResult.error.flatten(),
+                requestId
+            });
+        }
+
+        const { mensagens, erros } = prepararLote(parseResult.data);
+        if (erros.length > 0) {
+            return res.status(400).json({
+                error: "linhas_invalidas",
+                message: `${erros.length} linha(s) inválida(s); nenhum email foi enviado`,
+                rows: erros,
+                requestId
+            });
+        }
+
+        verificarTransportes(await resolverConta(mensagens[0]));
+
+        const lote = criarLote(requestId, req.apiKey.name, mensagens, parseResult.data.throttleMs ?? CONFIG.bulkThrottleMs);
+        iniciarLote(lote);
+        logger.info({ requestId, batchId: lote.id, rows: mensagens.length, apiKey: req.apiKey.name }, "Lote enfileirado");
+
+        res.status(202).json({
+            status: "enfileirado",
+            message: `Lote com ${mensagens.length} email(s) enfileirado`,
+            requestId,
+            batchId: lote.id,
+            statusUrl: `/send-bulk/${lote.id}`
+        });
+    } catch (error) {
+        logger.error({ requestId, error: error.message }, "Erro ao criar lote");
+        res.status(error.status || 500).json({
+            error: error.code || "falha_envio",
+            message: error.message,
+            retryable: error.retryable,
+            requestId,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Lote visível apenas para a chave que o criou (ou admin)
+function buscarLote(req, res) {
+    const lote = lotes.get(req.params.id);
+    const visivel = lote && (req.apiKey.scopes.includes('admin') || lote.apiKey === req.apiKey.name);
+    if (!visivel) {
+        res.status(404).json({
+            error: "lote_nao_encontrado",
+            message: `Lote ${req.params.id} não encontrado`,
+            timestamp: new Date().toISOString()
+        });
+        return null;
+    }
+    return lote;
+}
+
+app.get("/send-bulk/:id", requireApiKey('jobs'), (req, res) => {
+    const lote = buscarLote(req, res);
+    if (lote) res.json(serializeLote(lote));
+});
+
+app.post("/send-bulk/:id/resume", requireApiKey('send'), (req, res) => {
+    const lote = buscarLote(req, res);
+    if (!lote) return;
+
+    if (['queued', 'running'].includes(lote.state)) {
+        return res.status(409).json({
+            error: "lote_em_andamento",
+            message: "Lote ainda está em execução",
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const reabertas = retomarLote(lote);
+    if (reabertas === 0) {
+        return res.json({ ...serializeLote(lote), message: "Nenhuma linha pendente para retomar" });
+    }
+
+    lote.state = 'queued';
+    iniciarLote(lote);
+    logger.info({ batchId: lote.id, rows: reabertas }, "Lote retomado");
+
+    res.status(202).json({
+        status: "retomado",
+        message: `${reabertas} linha(s) serão reenviadas`,
+        batchId: lote.id,
+        statusUrl: `/send-bulk/${lote.id}`
+    });
+});
+
+// Resposta/encaminhamento: mesmo fluxo do /send-email, partindo da mensagem original
+function rotaConversa(tipo) {
+    return async (req, res) => {
+        const requestId = gerarRequestId();
+        const startTime = Date.now();
+
+        logger.info({
+            requestId,
+            apiKey: req.apiKey.name,
+            body: {
+                ...req.body,
+                password: req.body.password ? '***' : undefined,
+                totpSecret: req.body.totpSecret ? '***' : undefined,
+                mfaCode: req.body.mfaCode ? '***' : undefined,
+                attachments: Array.isArray(req.body.attachments) ? req.body.attachments.map(att => att && att.filename) : undefined
+            }
+        }, tipo === 'forward' ? "Nova requisição de encaminhamento" : "Nova requisição de resposta");
+
+        let notificacao = null;
+
+        try {
+            const parseResult = ConversationSchema.safeParse(req.body);
+            if (!parseResult.success || (tipo === 'forward' && !parseResult.data.to)) {
+                return res.status(400).json({
+                    error: "dados_invalidos",
+                    message: parseResult.success ? "Encaminhamento requer destinatários em to" : "Dados da requisição inválidos",
+                    details: parseResult.success ? undefined : parseResult.error.flatten(),
+                    requestId
+                });
+            }
+
+            const { messageId, match, replyAll, ...resto } = parseResult.data;
+            const action = tipo === 'forward' ? 'forward' : replyAll ? 'replyAll' : 'reply';
+            const dados = await resolverConta({ ...resto, conversation: { action, messageId, match } });
+            verificarTransportes(dados);
+
+            if (!dados.sync && req.query.sync !== 'true') {
+                const job = createJob(requestId, req.apiKey.name, dados);
+                enqueueJob(job, dados);
+
+                return res.status(202).json({
+                    status: "enfileirado",
+                    message: tipo === 'forward' ? "Encaminhamento enfileirado" : "Resposta enfileirada",
+                    requestId,
+                    jobId: job.id,
+                    queuePosition: posicaoNaFila(requestId),
+                    statusUrl: `/jobs/${job.id}`
+                });
+            }
+
+            notificacao = {
+                requestId,
+                apiKey: req.apiKey.name,
+                callbackUrl: dados.callbackUrl,
+                request: { to: dados.to, cc: dados.cc, subject: dados.subject },
+                startedAt: Date.now()
+            };
+            const result = await enviarComTransportes({ ...dados, requestId, apiKey: req.apiKey.name });
+            notificarConclusao({ ...notificacao, result });
+
+            const { originalMessage } = result.conversation;
+            const verbo = tipo === 'forward' ? "encaminhada" : "respondida";
+            res.json({
+                status: result.mode === 'send'
+                    ? result.verified ? "sucesso" : "enviado_nao_verificado"
+                    : result.mode === 'draft' ? "rascunho_salvo" : "pre_visualizacao",
+                message: result.mode === 'send'
+                    ? `Mensagem "${originalMessage.subject}" ${verbo}${result.verified ? '' : ' (não confirmada em Itens Enviados)'}`
+                    : `Composição de ${action} gerada em modo ${result.mode} (não enviada)`,
+                requestId,
+                action,
+                originalMessage,
+                data: {
+                    ...result,
+                    processingTimeMs: Date.now() - startTime
+                }
+            });
+        } catch (error) {
+            logger.error({ requestId, error: error.message, code: error.code }, `Erro em /${tipo}`);
+
+            if (notificacao) {
+                notificarConclusao({ ...notificacao, error });
+            }
+
+            res.status(error.status || 500).json({
+                error: error.code || "falha_envio",
+                message: error.message,
+                retryable: error.retryable,
+                requestId,
+                artifactsUrl: error.artifactsUrl,
+                transportAttempts: error.transportAttempts,
+                processingTimeMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+}
+
+app.post("/reply", requireApiKey('send'), express.json({ limit: CONFIG.sendEmailBodyLimit }), idempotency, admissao, rotaConversa('reply'));
+app.post("/forward", requireApiKey('send'), express.json({ limit: CONFIG.sendEmailBodyLimit }), idempotency, admissao, rotaConversa('forward'));
+
+// Leitura da caixa: ids do Exchange devem ir com encodeURIComponent na URL
+app.get("/messages", requireApiKey('read'), admissao, async (req, res) => {
+    const parseResult = MessagesQuerySchema.safeParse(req.query);
+    if (!parseResult.success) {
+        return res.status(400).json({
+            error: "dados_invalidos",
+            message: "Parâmetros de consulta inválidos",
+            details: parseResult.error.flatten()
+        });
+    }
+
+    const { accountId, ...filtros } = parseResult.data;
+    try {
+        const conta = await resolverConta({ accountId });
+        const resultado = await comSessaoOutlook(conta, pagina => listarMensagens(pagina, filtros));
+        res.json({ folder: filtros.folder, ...resultado });
+    } catch (error) {
+        logger.error({ accountId, error: error.message }, "Erro ao listar mensagens");
+        res.status(error.status || 500).json({
+            error: error.code || "falha_leitura",
+            message: error.message,
+            retryable: error.retryable,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get("/messages/:id", requireApiKey('read'), admissao, async (req, res) => {
+    const parseResult = z.object({
+        accountId: z.string().uuid(),
+        bodyFormat: z.enum(['html', 'text']).default('html')
+    }).safeParse(req.query);
+    if (!parseResult.success) {
+        return res.status(400).json({
+            error: "dados_invalidos",
+            message: "Parâmetros de consulta inválidos",
+            details: parseResult.error.flatten()
+        });
+    }
+
+    try {
+        const conta = await resolverConta({ accountId: parseResult.data.accountId });
+        const mensagem = await comSessaoOutlook(conta, pagina => obterMensagem(pagina, req.params.id, parseResult.data.bodyFormat));
+        res.json(mensagem);
+    } catch (error) {
+        logger.error({ accountId: parseResult.data.accountId, error: error.message }, "Erro ao obter mensagem");
+        res.status(error.status || 500).json({
+            error: error.code || "falha_leitura",
+            message: error.message,
+            retryable: error.retryable,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get("/jobs/:id", requireApiKey('jobs'), (req, res) => {
+    const job = jobs.get(req.params.id);
+
+    // Cada chave enxerga apenas os próprios jobs (admin enxerga todos)
+    const visivel = job && (req.apiKey.scopes.includes('admin') || job.apiKey === req.apiKey.name);
+    if (!visivel) {
+        return res.status(404).json({
+            error: "job_nao_encontrado",
+            message: `Job ${req.params.id} não encontrado`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.json(serializeJob(job));
+});
+
+app.get("/schedules", requireApiKey('jobs'), (req, res) => {
+    const admin = req.apiKey.scopes.includes('admin');
+    const lista = [...agendamentos.values()]
+        .filter(a => admin || a.apiKey === req.apiKey.name)
+        .filter(a => !req.query.state || a.state === req.query.state)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+
+    res.json({ schedules: lista.map(serializeAgendamento) });
+});
+
+// Agendamento visível apenas para a chave que o criou (ou admin)
+function buscarAgendamento(req, res) {
+    const agendamento = agendamentos.get(req.params.id);
+    const visivel = agendamento && (req.apiKey.scopes.includes('admin') || agendamento.apiKey === req.apiKey.name);
+    if (!visivel) {
+        res.status(404).json({
+            error: "agendamento_nao_encontrado",
+            message: `Agendamento ${req.params.id} não encontrado`,
+            timestamp: new Date().toISOString()
+        });
+        return null;
+    }
+    return agendamento;
+}
+
+app.get("/schedules/:id", requireApiKey('jobs'), (req, res) => {
+    const agendamento = buscarAgendamento(req, res);
+    if (agendamento) res.json(serializeAgendamento(agendamento));
+});
+
+app.delete("/schedules/:id", requireApiKey('send'), asyncHandler(async (req, res) => {
+    const agendamento = buscarAgendamento(req, res);
+    if (!agendamento) return;
+
+    if (agendamento.state !== 'scheduled') {
+        return res.status(409).json({
+            error: "agendamento_nao_alteravel",
+            message: `Agendamento em estado ${agendamento.state} não pode ser cancelado`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const anterior = { ...agendamento };
+    finalizarAgendamento(agendamento, 'cancelled');
+    try {
+        await gravarAlteracaoAgendamento(() => Object.assign(agendamento, anterior));
+    } catch (error) {
+        return res.status(error.status).json({ error: error.code, message: error.message, retryable: error.retryable });
+    }
+    logger.info({ scheduleId: agendamento.id }, "Envio agendado cancelado");
+
+    res.json(serializeAgendamento(agendamento));
+}));
+
+// Reagenda (também reativa agendamentos expirados)
+app.patch("/schedules/:id", requireApiKey('send'), asyncHandler(async (req, res) => {
+    const agendamento = buscarAgendamento(req, res);
+    if (!agendamento) return;
+
+    const parseResult = z.object({ sendAt: z.string().datetime({ offset: true }) }).safeParse(req.body);
+    if (!parseResult.success) {
+        return res.status(400).json({
+            error: "dados_invalidos",
+            message: "Informe sendAt em ISO 8601 com fuso horário",
+            details: parseResult.error.flatten()
+        });
+    }
+
+    if (!['scheduled', 'expired'].includes(agendamento.state)) {
+        return res.status(409).json({
+            error: "agendamento_nao_alteravel",
+            message: `Agendamento em estado ${agendamento.state} não pode ser reagendado`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const anterior = { ...agendamento };
+    try {
+        agendamento.sendAt = validarHorarioAgendamento(parseResult.data.sendAt);
+        agendamento.state = 'scheduled';
+        agendamento.error = null;
+        agendamento.finishedAt = null;
+        agendamento.updatedAt = new Date().toISOString();
+        await gravarAlteracaoAgendamento(() => Object.assign(agendamento, anterior));
+    } catch (error) {
+        return res.status(error.status).json({ error: error.code, message: error.message, retryable: error.retryable });
+    }
+    logger.info({ scheduleId: agendamento.id, sendAt: agendamento.sendAt }, "Envio reagendado");
+
+    res.json(serializeAgendamento(agendamento));
+}));
+
+app.get("/webhooks/:requestId", requireApiKey('jobs'), (req, res) => {
+    const entrega = webhookDeliveries.get(req.params.requestId);
+
+    const visivel = entrega && (req.apiKey.scopes.includes('admin') || entrega.apiKey === req.apiKey.name);
+    if (!visivel) {
+        return res.status(404).json({
+            error: "webhook_nao_encontrado",
+            message: `Nenhuma entrega de webhook para a requisição ${req.params.requestId}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const { apiKey, externa, ...dadosEntrega } = entrega;
+    res.json(dadosEntrega);
+});
+
+app.get("/artifacts/:requestId", requireApiKey('jobs'), asyncHandler(async (req, res) => {
+    const meta = await carregarMetaArtefatos(req.params.requestId);
+
+    const visivel = meta && (req.apiKey.scopes.includes('admin') || meta.owner === req.apiKey.name);
+    if (!visivel) {
+        return res.status(404).json({
+            error: "artefatos_nao_encontrados",
+            message: `Nenhum artefato para a requisição ${req.params.requestId}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const { owner, ...dadosMeta } = meta;
+    res.json({
+        ...dadosMeta,
+        files: meta.files.map(nome => ({ name: nome, url: `/artifacts/${meta.requestId}/${nome}` }))
+    });
+}));
+
+app.get("/artifacts/:requestId/:file", requireApiKey('jobs'), asyncHandler(async (req, res) => {
+    const meta = await carregarMetaArtefatos(req.params.requestId);
+
+    const visivel = meta && (req.apiKey.scopes.includes('admin') || meta.owner === req.apiKey.name);
+    if (!visivel || !meta.files.includes(req.params.file) || !ARQUIVOS_ARTEFATO[req.params.file]) {
+        return res.status(404).json({
+            error: "artefatos_nao_encontrados",
+            message: `Artefato ${req.params.file} não encontrado para a requisição ${req.params.requestId}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.type(ARQUIVOS_ARTEFATO[req.params.file]);
+    res.send(await readFile(path.join(diretorioArtefatos(meta.requestId), req.params.file)));
+}));
+
+app.post("/templates", requireApiKey('admin'), asyncHandler(async (req, res) => {
+    const parseResult = TemplateSchema.safeParse(req.body);
+    if (!parseResult.success) {
+        return res.status(400).json({
+            error: "dados_invalidos",
+            message: "Dados do template inválidos",
+            details: parseResult.error.flatten()
+        });
+    }
+
+    const naoDeclarados = placeholdersNaoDeclarados(parseResult.data);
+    if (naoDeclarados.length > 0) {
+        return res.status(400).json({
+            error: "dados_invalidos",
+            message: `Placeholders sem declaração em variables: ${naoDeclarados.join(', ')}`
+        });
+    }
+
+    try {
+        const template = await criarTemplate(parseResult.data);
+        logger.info({ templateId: template.id, name: template.name }, "Template criado");
+        res.status(201).json(serializeTemplate(template));
+    } catch (error) {
+        if (!(error instanceof EmailApiError)) throw error;
+        res.status(error.status).json({ error: error.code, message: error.message });
+    }
+}));
+
+app.get("/templates", requireApiKey('send'), asyncHandler(async (req, res) => {
+    const templates = await carregarTemplates();
+    res.json({
+        templates: [...templates.values()].map(template => {
+            const { subject, body, variables, ...resumo } = serializeTemplate(template);
+            return { ...resumo, variables: Object.keys(variables) };
+        })
+    });
+}));
+
+app.get("/templates/:id", requireApiKey('send'), asyncHandler(async (req, res) => {
+    const template = (await carregarTemplates()).get(req.params.id);
+    const versao = template && versaoTemplate(template, req.query.version ? parseInt(req.query.version, 10) : undefined);
+    if (!versao) {
+        return res.status(404).json({
+            error: "template_nao_encontrado",
+            message: `Template ${req.params.id}${req.query.version ? ` v${req.query.version}` : ''} não encontrado`
+        });
+    }
+
+    res.json(serializeTemplate(template, versao));
+}));
+
+app.put("/templates/:id", requireApiKey('admin'), asyncHandler(async (req, res) => {
+    const template = (await carregarTemplates()).get(req.params.id);
+    if (!template) {
+        return res.status(404).json({
+            error: "template_nao_encontrado",
+            message: `Template ${req.params.id} não encontrado`
+        });
+    }
+
+    const parseResult = TemplateSchema.safeParse({ name: template.name, ...req.body });
+    if (!parseResult.success) {
+        return res.status(400).json({
+            error: "dados_invalidos",
+            message: "Dados do template inválidos",
+            details: parseResult.error.flatten()
+        });
+    }
+
+    const naoDeclarados = placeholdersNaoDeclarados(parseResult.data);
+    if (naoDeclarados.length > 0) {
+        return res.status(400).json({
+            error: "dados_invalidos",
+            message: `Placeholders sem declaração em variables: ${naoDeclarados.join(', ')}`
+        });
+    }
+
+    try {
+        const atualizado = await atualizarTemplate(template, parseResult.data);
+        logger.info({ templateId: atualizado.id, version: atualizado.currentVersion }, "Nova versão de template");
+        res.json(serializeTemplate(atualizado));
+    } catch (error) {
+        if (!(error instanceof EmailApiError)) throw error;
+        res.status(error.status).json({ error: error.code, message: error.message });
+    }
+}));
+
+app.delete("/templates/:id", requireApiKey('admin'), asyncHandler(async (req, res) => {
+    if (!(await removerTemplate(req.params.id))) {
+        return res.status(404).json({
+            error: "template_nao_encontrado",
+            message: `Template ${req.params.id} não encontrado`
+        });
+    }
+
+    logger.info({ templateId: req.params.id }, "Template removido");
+    res.json({ status: "removido", id: req.params.id });
+}));
+
+app.post("/accounts", requireApiKey('admin'), async (req, res) => {
+    const parseResult = AccountSchema.safeParse(req.body);
+    if (!parseResult.success) {
+        return res.status(400).json({
+            error: "dados_invalidos",
+            message: "Dados da conta inválidos",
+            details: parseResult.error.flatten()
+        });
+    }
+
+    try {
+        const { conta, criada } = await salvarConta(parseResult.data);
+        logger.info({ accountId: conta.id, email: conta.email.substring(0, 5) + '***', criada }, "Conta salva no cofre");
+
+        // Sessão aberta com a senha antiga não deve ser reaproveitada
+        if (!criada) {
+            await encerrarSessaoConta(conta.email);
+        }
+
+        res.status(criada ? 201 : 200).json(serializeAccount(conta));
+    } catch (error) {
+        logger.error({ error: error.message }, "Erro ao salvar conta");
+        res.status(error.status || 500).json({
+            error: error.code || "erro_cofre",
+            message: error.message
+        });
+    }
+});
+
+app.get("/accounts", requireApiKey('admin'), asyncHandler(async (req, res) => {
+    const contas = await carregarContas();
+    res.json({ accounts: [...contas.values()].map(serializeAccount) });
+}));
+
+app.get("/accounts/:id", requireApiKey('admin'), asyncHandler(async (req, res) => {
+    const conta = (await carregarContas()).get(req.params.id);
+    if (!conta) {
+        return res.status(404).json({
+            error: "conta_nao_encontrada",
+            message: `Conta ${req.params.id} não encontrada`
+        });
+    }
+    res.json(serializeAccount(conta));
+}));
+
+app.delete("/accounts/:id", requireApiKey('admin'), asyncHandler(async (req, res) => {
+    const conta = (await carregarContas()).get(req.params.id);
+    if (!conta || !(await removerConta(req.params.id))) {
+        return res.status(404).json({
+            error: "conta_nao_encontrada",
+            message: `Conta ${req.params.id} não encontrada`
+        });
+    }
+
+    await encerrarSessaoConta(conta.email);
+    logger.info({ accountId: conta.id }, "Conta removida do cofre");
+
+    res.json({ status: "removida", id: conta.id });
+}));
+
 // Health check específico para Render
 app.get("/ping", (req, res) => {
     res.status(200).json({ 
@@ -719,8 +5422,8 @@ app.get("/ping", (req, res) => {
     });
 });
 
-// Endpoint de métricas
-app.get("/metrics", (req, res) => {
+// Snapshot JSON do processo (formato anterior do /metrics)
+function responderMetricasJson(res) {
     const usage = process.memoryUsage();
     res.json({
         timestamp: new Date().toISOString(),
@@ -737,6 +5440,19 @@ app.get("/metrics", (req, res) => {
         arch: process.arch,
         version: process.version
     });
+}
+
+// Formato Prometheus por padrão; JSON via Accept: application/json ou /metrics/json
+app.get("/metrics", requireApiKey('admin'), (req, res) => {
+    if (req.accepts(['text/plain', 'application/json']) === 'application/json') {
+        return responderMetricasJson(res);
+    }
+    res.type('text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderizarMetricas());
+});
+
+app.get("/metrics/json", requireApiKey('admin'), (req, res) => {
+    responderMetricasJson(res);
 });
 
 // ==================== ERROR HANDLERS ====================
@@ -753,6 +5469,24 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
+    // Body acima do limite configurado (express.json)
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: "payload_muito_grande",
+            message: `Requisição excede o limite de ${error.limit} bytes`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // JSON malformado
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            error: "json_invalido",
+            message: "Corpo da requisição não é um JSON válido",
+            timestamp: new Date().toISOString()
+        });
+    }
+
     logger.error({
         error: error.message,
         stack: error.stack,
@@ -783,9 +5517,20 @@ const server = app.listen(CONFIG.port, '0.0.0.0', () => {
     console.log(`🚀 Servidor rodando na porta ${CONFIG.port}`);
     console.log(`📡 Health check: http://localhost:${CONFIG.port}/health`);
     console.log(`📧 Enviar email: POST http://localhost:${CONFIG.port}/send-email`);
+    console.log(`📦 Envio em massa: POST http://localhost:${CONFIG.port}/send-bulk`);
+    console.log(`📥 Caixa de entrada: GET http://localhost:${CONFIG.port}/messages?accountId=...`);
+    console.log(`↩️ Responder/encaminhar: POST http://localhost:${CONFIG.port}/reply | /forward`);
+    console.log(`🧾 Status de job: GET http://localhost:${CONFIG.port}/jobs/:id`);
+    console.log(`⏰ Agendamentos: GET http://localhost:${CONFIG.port}/schedules`);
+    console.log(`🧷 Artefatos de falha: GET http://localhost:${CONFIG.port}/artifacts/:requestId`);
+    console.log(`🔔 Entregas de webhook: GET http://localhost:${CONFIG.port}/webhooks/:requestId`);
     console.log(`🏥 Ping: http://localhost:${CONFIG.port}/ping`);
-    console.log(`📊 Métricas: http://localhost:${CONFIG.port}/metrics`);
+    console.log(`📊 Métricas: http://localhost:${CONFIG.port}/metrics (JSON em /metrics/json)`);
     console.log(`🌐 Browser: Chromium (otimizado para Render)`);
+
+    iniciarAgendador().catch(error => {
+        logger.error({ error: error.message }, "Falha ao iniciar o agendador");
+    });
 });
 
 // Graceful shutdown otimizado para Render
@@ -794,6 +5539,9 @@ function gracefulShutdown(signal) {
     
     server.close(async () => {
         logger.info("Servidor HTTP fechado");
+
+        await closeAllSessions();
+        logger.info("Sessões do navegador encerradas");
         
         // Force cleanup se necessário
         if (global.gc) {
@@ -831,4 +5579,5 @@ process.on('unhandledRejection', (reason, promise) => {
     }, 'Unhandled Rejection');
 });
 
+export { setIdempotencyStore };
 export default app;
@@ -0,0 +1,184 @@
+import { spawn } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+// Servidor SMTP mínimo: AUTH LOGIN, senha "bad" recusada (535) e destinatário "bounce@" recusado (550)
+function iniciarSmtpFalso() {
+    const mensagens = [];
+    const servidor = net.createServer(socket => {
+        let estado = 'comando';
+        let buffer = '';
+        let mensagem = null;
+        const responder = linha => socket.write(`${linha}\r\n`);
+
+        responder('220 teste ESMTP');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let fim;
+            while ((fim = buffer.indexOf('\r\n')) >= 0) {
+                const linha = buffer.slice(0, fim);
+                buffer = buffer.slice(fim + 2);
+
+                if (estado === 'dados') {
+                    if (linha === '.') {
+                        mensagens.push(mensagem);
+                        estado = 'comando';
+                        responder('250 2.0.0 OK queued');
+                    } else {
+                        mensagem.data += `${linha}\r\n`;
+                    }
+                    continue;
+                }
+                if (estado === 'usuario') {
+                    estado = 'senha';
+                    responder('334 UGFzc3dvcmQ6');
+                    continue;
+                }
+                if (estado === 'senha') {
+                    estado = 'comando';
+                    const senha = Buffer.from(linha, 'base64').toString();
+                    responder(senha === 'bad' ? '535 5.7.3 Authentication unsuccessful' : '235 2.7.0 Authentication successful');
+                    continue;
+                }
+
+                const comando = linha.toUpperCase();
+                if (comando.startsWith('EHLO')) {
+                    socket.write('250-teste\r\n250 AUTH LOGIN\r\n');
+                } else if (comando === 'AUTH LOGIN') {
+                    estado = 'usuario';
+                    responder('334 VXNlcm5hbWU6');
+                } else if (comando.startsWith('MAIL FROM')) {
+                    mensagem = { from: linha, rcpt: [], data: '' };
+                    responder('250 2.1.0 OK');
+                } else if (comando.startsWith('RCPT TO')) {
+                    if (comando.includes('BOUNCE@')) {
+                        responder('550 5.1.1 User unknown');
+                    } else {
+                        mensagem.rcpt.push(linha);
+                        responder('250 2.1.5 OK');
+                    }
+                } else if (comando === 'DATA') {
+                    estado = 'dados';
+                    responder('354 Start mail input');
+                } else if (comando === 'QUIT') {
+                    responder('221 2.0.0 Bye');
+                    socket.end();
+                } else {
+                    responder('502 5.5.2 Command not implemented');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return new Promise(resolve => {
+        servidor.listen(0, '127.0.0.1', () => resolve({ servidor, porta: servidor.address().port, mensagens }));
+    });
+}
+
+function portaLivre() {
+    return new Promise(resolve => {
+        const servidor = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = servidor.address();
+            servidor.close(() => resolve(port));
+        });
+    });
+}
+
+async function aguardarApi(url, tentativas = 50) {
+    for (let i = 0; i < tentativas; i++) {
+        try {
+            if ((await fetch(`${url}/ping`)).ok) return;
+        } catch {
+            // Ainda subindo
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error("API não respondeu a tempo");
+}
+
+let smtp;
+let api;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+    smtp = await iniciarSmtpFalso();
+    dataDir = await mkdtemp(path.join(os.tmpdir(), 'outlook-email-api-'));
+    const porta = await portaLivre();
+    baseUrl = `http://127.0.0.1:${porta}`;
+
+    api = spawn(process.execPath, [path.resolve('index.js')], {
+        cwd: dataDir,
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            LOG_LEVEL: 'silent',
+            PORT: String(porta),
+            API_KEYS: '',
+            TRANSPORTS: 'smtp',
+            SMTP_HOST: '127.0.0.1',
+            SMTP_PORT: String(smtp.porta),
+            SMTP_REQUIRE_TLS: 'false',
+            SMTP_TIMEOUT_MS: '5000'
+        },
+        stdio: 'ignore'
+    });
+    await aguardarApi(baseUrl);
+});
+
+after(async () => {
+    api?.kill();
+    smtp?.servidor.close();
+    if (dataDir) await rm(dataDir, { recursive: true, force: true });
+});
+
+function enviar(dados) {
+    return fetch(`${baseUrl}/send-email`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+            email: 'remetente@example.com',
+            password: 'segredo',
+            subject: 'Teste SMTP',
+            body: 'Olá',
+            transport: 'smtp',
+            sync: true,
+            ...dados
+        })
+    });
+}
+
+test("entrega a mensagem pelo SMTP", async () => {
+    const resposta = await enviar({ to: 'destino@example.com' });
+    const corpo = await resposta.json();
+
+    assert.equal(resposta.status, 200, JSON.stringify(corpo));
+    assert.equal(corpo.data.transport, 'smtp');
+    assert.equal(corpo.data.verification.status, 'accepted');
+    assert.equal(smtp.mensagens.length, 1);
+    assert.match(smtp.mensagens[0].from, /remetente@example\.com/);
+    assert.match(smtp.mensagens[0].rcpt[0], /destino@example\.com/);
+    assert.match(smtp.mensagens[0].data, /^Subject: Teste SMTP$/m);
+});
+
+test("senha recusada vira smtp_auth_failed", async () => {
+    const resposta = await enviar({ to: 'destino@example.com', password: 'bad' });
+    const corpo = await resposta.json();
+
+    assert.equal(resposta.status, 401);
+    assert.equal(corpo.error, 'smtp_auth_failed');
+    assert.equal(corpo.retryable, false);
+});
+
+test("destinatário recusado vira smtp_rejected", async () => {
+    const resposta = await enviar({ to: 'bounce@example.com' });
+    const corpo = await resposta.json();
+
+    assert.equal(resposta.status, 502);
+    assert.equal(corpo.error, 'smtp_rejected');
+});